@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+
+// Saves by the same person closer together than this are logged once
+const SAVE_ACTIVITY_WINDOW_MS = 10 * 60 * 1000;
+// Longest quote of an item or edit kept in an entry
+const EXCERPT_LENGTH = 120;
+
+// Events the editor reports itself, since the server only sees their effect on the text
+export const CLIENT_ACTIVITY_TYPES = ['edit-applied', 'word-edit-accepted'];
+
+/**
+ * Shortened, single-line copy of a piece of text for log entries
+ */
+export function excerpt(text) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat;
+}
+
+function allTabItems(doc) {
+  const builtIn = Object.entries(doc.tabs || {})
+    .filter(([tabId]) => tabId !== 'versions')
+    .flatMap(([tabId, items]) => items.map(item => ({ tabId, item })));
+  const custom = (doc.customTabs || []).flatMap(tab => (tab.items || []).map(item => ({ tabId: tab.id, tabName: tab.name, item })));
+  return [...builtIn, ...custom];
+}
+
+function tabItemDetails({ tabId, tabName, item }) {
+  return {
+    tabId,
+    tabName: tabName || tabId,
+    itemId: item.id,
+    text: excerpt(item.prompt || item.text),
+    highlightedText: excerpt(item.highlightedText),
+    ai: Boolean(item.isAIGenerated)
+  };
+}
+
+/**
+ * Append-only log of who did what to each document. Entries are never edited; they go
+ * away only when their document is permanently deleted.
+ * @param {Object} activity - Storage collection holding every document's entries
+ */
+export function createActivityLog({ activity }) {
+  const actorOf = (user) => (user ? { id: user.id, name: user.name } : null);
+
+  /**
+   * Adds one entry
+   * @param {Object|null} user - Who did it (null for the server itself)
+   * @param {string} type - e.g. 'create', 'save', 'title', 'tab-item-added'
+   */
+  const record = (documentId, user, type, details = {}) => activity.insert({
+    id: crypto.randomUUID(),
+    documentId,
+    type,
+    actor: actorOf(user),
+    details,
+    createdAt: new Date().toISOString()
+  });
+
+  /**
+   * Entries for a document, newest first
+   * @param {Object} options - { before: ISO date to page back from, limit }
+   */
+  const list = (documentId, { before = null, limit = 50 } = {}) => activity
+    .filter(entry => entry.documentId === documentId && (!before || entry.createdAt < before))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+
+  // documentId -> Map of user id -> when they last got a 'save' entry there. A document
+  // missing after a restart is looked up in the log once.
+  const lastSaves = new Map();
+  const savesFor = (documentId) => {
+    if (!lastSaves.has(documentId)) {
+      const times = new Map();
+      activity.filter(entry => entry.documentId === documentId && entry.type === 'save').forEach(entry => {
+        const userId = entry.actor?.id || null;
+        times.set(userId, Math.max(times.get(userId) || 0, new Date(entry.createdAt).getTime()));
+      });
+      lastSaves.set(documentId, times);
+    }
+    return lastSaves.get(documentId);
+  };
+
+  /**
+   * Logs what changed between two copies of a document: its text, title and tab items
+   */
+  const recordEdit = (before, after, user) => {
+    if (after.title !== before.title) {
+      record(after.id, user, 'title', { from: before.title, to: after.title });
+    }
+
+    const contentChanged = after.delta !== before.delta || after.content !== before.content;
+    if (contentChanged) {
+      const saves = savesFor(after.id);
+      const userId = user?.id || null;
+      if (Date.now() - (saves.get(userId) || 0) > SAVE_ACTIVITY_WINDOW_MS) {
+        record(after.id, user, 'save');
+        saves.set(userId, Date.now());
+      }
+    }
+
+    const beforeItems = allTabItems(before);
+    const afterItems = allTabItems(after);
+    const beforeIds = new Set(beforeItems.map(({ item }) => item.id));
+    const afterIds = new Set(afterItems.map(({ item }) => item.id));
+    afterItems
+      .filter(({ item }) => !beforeIds.has(item.id))
+      .forEach(entry => record(after.id, user, 'tab-item-added', tabItemDetails(entry)));
+    beforeItems
+      .filter(({ item }) => !afterIds.has(item.id))
+      .forEach(entry => record(after.id, user, 'tab-item-removed', tabItemDetails(entry)));
+  };
+
+  const removeForDocuments = (docIds) => {
+    const ids = new Set(docIds);
+    activity.removeWhere(entry => ids.has(entry.documentId));
+    ids.forEach(id => lastSaves.delete(id));
+  };
+
+  return { record, list, recordEdit, removeForDocuments };
+}
@@ -0,0 +1,119 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Saves to disk are batched over this long
+const PERSIST_DELAY_MS = 1000;
+
+const bypassContext = new AsyncLocalStorage();
+
+/**
+ * Runs `callback` (and everything it starts) with AI cache reads turned off. Fresh answers
+ * still replace what was cached.
+ */
+export function withAICacheBypass(callback) {
+  return bypassContext.run(true, callback);
+}
+
+function isBypassed() {
+  return bypassContext.getStore() === true;
+}
+
+/**
+ * Cache key for one AI call: the same prompt sent to the same model in the same mode
+ */
+export function aiCacheKey(provider, model, json, prompt) {
+  return crypto.createHash('sha256').update(JSON.stringify([provider, model, json, prompt])).digest('hex');
+}
+
+/**
+ * In-memory LRU cache of AI replies with a time-to-live, optionally saved to a JSON file
+ * so it survives restarts.
+ * @param {Object} options - { ttlMs, maxEntries, persistPath (null to keep it in memory only) }
+ */
+export function createAICache({ ttlMs, maxEntries, persistPath = null }) {
+  // Map order is recency order: the first entry is the least recently used
+  const entries = new Map();
+  const counts = { hits: 0, misses: 0, bypassed: 0, evictions: 0, expirations: 0 };
+  let persistTimer = null;
+
+  const persist = () => {
+    if (!persistPath || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      const tempPath = `${persistPath}.tmp`;
+      fs.promises.writeFile(tempPath, JSON.stringify([...entries]))
+        .then(() => fs.promises.rename(tempPath, persistPath))
+        .catch(error => console.error('Error saving AI cache:', error));
+    }, PERSIST_DELAY_MS);
+    persistTimer.unref();
+  };
+
+  if (persistPath) {
+    try {
+      const now = Date.now();
+      JSON.parse(fs.readFileSync(persistPath, 'utf8'))
+        .filter(([, entry]) => entry.expiresAt > now)
+        .slice(-maxEntries)
+        .forEach(([key, entry]) => entries.set(key, entry));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading AI cache:', error);
+      }
+    }
+  }
+
+  /**
+   * The cached reply for `key`, or undefined on a miss (or while bypassed)
+   */
+  const get = (key) => {
+    if (isBypassed()) {
+      counts.bypassed++;
+      return undefined;
+    }
+
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      counts.expirations++;
+      persist();
+    } else if (entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      counts.hits++;
+      return entry.value;
+    }
+    counts.misses++;
+    return undefined;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counts.evictions++;
+    }
+    persist();
+  };
+
+  const remove = (key) => {
+    if (entries.delete(key)) {
+      persist();
+    }
+  };
+
+  const stats = () => {
+    const lookups = counts.hits + counts.misses;
+    return {
+      ...counts,
+      hitRate: lookups > 0 ? counts.hits / lookups : null,
+      size: entries.size,
+      maxEntries,
+      ttlSeconds: ttlMs / 1000,
+      persistPath
+    };
+  };
+
+  return { get, set, remove, stats };
+}
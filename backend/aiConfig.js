@@ -0,0 +1,222 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listProviders } from './aiProviders.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const AI_CONFIG_PATH = process.env.AI_CONFIG_PATH || path.join(__dirname, 'ai.config.json');
+// How often the config file is checked for changes
+const WATCH_INTERVAL_MS = 2000;
+
+// The AI functions in aiService.js that can be configured one by one
+export const AI_TASKS = [
+  'interpretSearchQuery',
+  'analyzeDocumentContent',
+  'rankDocuments',
+  'suggestTextImprovement',
+  'extractActionItems',
+  'areTasksSimilar',
+  'draftEmailFromTask',
+  'createCalendarEventFromTask',
+  'generateWordEdit',
+  'processAICommand',
+  'processEditCommand'
+];
+
+// Used for anything the config file leaves out. A null provider or model means AI_PROVIDER
+// and that provider's own model setting (GEMINI_MODEL, OPENAI_MODEL, ...).
+const BUILT_IN_DEFAULTS = {
+  provider: null,
+  model: null,
+  temperature: 0.3,
+  maxTokens: 1024,
+  timeoutMs: 30000
+};
+
+// Daily limits; null means no limit
+const BUDGET_LIMITS = ['dailyTokens', 'dailyCostUsd'];
+
+let current = { defaults: BUILT_IN_DEFAULTS, tasks: {}, pricing: {}, budgets: {} };
+let loadedAt = null;
+let loadError = null;
+
+/**
+ * Problems with one set of task settings, as readable messages
+ */
+function settingsErrors(where, settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  Object.keys(settings)
+    .filter(key => !(key in BUILT_IN_DEFAULTS))
+    .forEach(key => errors.push(`${where}.${key} is not a known setting`));
+  if (settings.provider != null && !listProviders().includes(settings.provider)) {
+    errors.push(`${where}.provider must be one of ${listProviders().join(', ')}`);
+  }
+  if (settings.model != null && typeof settings.model !== 'string') {
+    errors.push(`${where}.model must be a string`);
+  }
+  if (settings.temperature !== undefined && !(typeof settings.temperature === 'number' && settings.temperature >= 0 && settings.temperature <= 2)) {
+    errors.push(`${where}.temperature must be a number from 0 to 2`);
+  }
+  ['maxTokens', 'timeoutMs'].forEach(key => {
+    if (settings[key] !== undefined && !(Number.isInteger(settings[key]) && settings[key] > 0)) {
+      errors.push(`${where}.${key} must be a positive whole number`);
+    }
+  });
+  return errors;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function limitErrors(where, limits) {
+  if (!isObject(limits)) {
+    return [`${where} must be an object`];
+  }
+  return Object.entries(limits).flatMap(([key, value]) => {
+    if (!BUDGET_LIMITS.includes(key)) return [`${where}.${key} is not a known limit`];
+    if (value !== null && !(typeof value === 'number' && value >= 0)) return [`${where}.${key} must be a number of at least 0, or null`];
+    return [];
+  });
+}
+
+function budgetErrors(budgets) {
+  if (!isObject(budgets)) {
+    return ['budgets must be an object'];
+  }
+  const { tasks = {}, ...overall } = budgets;
+  const errors = limitErrors('budgets', overall);
+  if (!isObject(tasks)) {
+    return [...errors, 'budgets.tasks must be an object'];
+  }
+  Object.entries(tasks).forEach(([task, limits]) => {
+    if (!AI_TASKS.includes(task)) {
+      errors.push(`budgets.tasks.${task} is not an AI task`);
+    } else {
+      errors.push(...limitErrors(`budgets.tasks.${task}`, limits));
+    }
+  });
+  return errors;
+}
+
+function pricingErrors(pricing) {
+  if (!isObject(pricing)) {
+    return ['pricing must be an object'];
+  }
+  return Object.entries(pricing).flatMap(([model, price]) => ['inputPerMillion', 'outputPerMillion']
+    .filter(key => !(isObject(price) && typeof price[key] === 'number' && price[key] >= 0))
+    .map(key => `pricing.${model}.${key} must be a number of at least 0`));
+}
+
+function validateConfig(config) {
+  if (!isObject(config)) {
+    return ['The config must be a JSON object'];
+  }
+
+  const tasks = config.tasks || {};
+  const errors = config.defaults === undefined ? [] : settingsErrors('defaults', config.defaults);
+  if (typeof tasks !== 'object' || Array.isArray(tasks)) {
+    return [...errors, 'tasks must be an object'];
+  }
+  Object.entries(tasks).forEach(([task, settings]) => {
+    if (!AI_TASKS.includes(task)) {
+      errors.push(`tasks.${task} is not an AI task (known tasks: ${AI_TASKS.join(', ')})`);
+    } else {
+      errors.push(...settingsErrors(`tasks.${task}`, settings));
+    }
+  });
+  if (config.pricing !== undefined) {
+    errors.push(...pricingErrors(config.pricing));
+  }
+  if (config.budgets !== undefined) {
+    errors.push(...budgetErrors(config.budgets));
+  }
+  return errors;
+}
+
+/**
+ * Reads the config file. A missing file means built-in defaults; a broken one is reported
+ * and the settings that were loaded before stay in use.
+ */
+export function loadAIConfig() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(AI_CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      current = { defaults: BUILT_IN_DEFAULTS, tasks: {}, pricing: {}, budgets: {} };
+      loadedAt = new Date().toISOString();
+      loadError = null;
+      return;
+    }
+    loadError = `Could not read ${AI_CONFIG_PATH}: ${error.message}`;
+    console.error('Error loading AI config:', loadError);
+    return;
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    loadError = errors.join('; ');
+    console.error('Error loading AI config:', loadError);
+    return;
+  }
+
+  current = {
+    defaults: { ...BUILT_IN_DEFAULTS, ...config.defaults },
+    tasks: config.tasks || {},
+    pricing: config.pricing || {},
+    budgets: config.budgets || {}
+  };
+  loadedAt = new Date().toISOString();
+  loadError = null;
+}
+
+/**
+ * Settings for one AI task: its entry in the config file over the file's defaults
+ * @returns {Object} { provider, model, temperature, maxTokens, timeoutMs }
+ */
+export function getTaskSettings(task) {
+  return { ...current.defaults, ...current.tasks[task] };
+}
+
+/**
+ * Price of a model in US dollars per million input and output tokens, or null if unknown
+ */
+export function getModelPricing(model) {
+  return current.pricing[model] || null;
+}
+
+/**
+ * Daily limits that apply to a task: the overall ones and the task's own
+ * @returns {Object} { overall: { dailyTokens, dailyCostUsd }, task: { dailyTokens, dailyCostUsd } }
+ */
+export function getTaskBudgets(task) {
+  const { tasks = {}, ...overall } = current.budgets;
+  return { overall, task: tasks[task] || {} };
+}
+
+/**
+ * Where the settings came from, for the settings endpoint
+ */
+export function getAIConfigStatus() {
+  return { path: AI_CONFIG_PATH, loadedAt, error: loadError };
+}
+
+/**
+ * Reloads the config whenever the file changes, so settings can be tuned without a restart
+ */
+export function watchAIConfig() {
+  const watcher = fs.watchFile(AI_CONFIG_PATH, { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      console.log(`Reloading AI config from ${AI_CONFIG_PATH}`);
+      loadAIConfig();
+    }
+  });
+  // Don't keep the process alive just to watch the file
+  watcher.unref();
+}
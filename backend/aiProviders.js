@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import OpenAI from 'openai';
+import { createMockProvider } from './mockProvider.js';
+
+/*
+ * AI providers turn a prompt into text. Each one is registered under a name with a factory:
+ *
+ *   registerProvider('name', (env) => provider or null when it isn't configured)
+ *
+ * and a provider is { name, model, complete(prompt, options) => Promise<string> }. Options are
+ * `json` (ask for a JSON object reply) plus the per-task settings from ai.config.json:
+ * `model` (null for the provider's own), `temperature`, `maxTokens` and `timeoutMs`. The
+ * prompt is the user message; `system` holds our instructions (see promptBuilder.js) and goes
+ * in the provider's system message, or ahead of the prompt where there isn't one.
+ * Providers that know how many tokens a call used report them through
+ * `options.onUsage({ inputTokens, outputTokens })`.
+ *
+ * Providers may also have stream(prompt, options), an async generator of text chunks that
+ * stops early when `options.signal` aborts; ones without it are streamed as a single chunk.
+ * aiService.js only talks to this interface, so a new backend is one registerProvider call;
+ * AI_PROVIDER picks which one is used unless a task names another.
+ */
+
+const factories = new Map();
+
+/**
+ * Adds a provider factory. Registering an existing name replaces it.
+ */
+export function registerProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+export function listProviders() {
+  return [...factories.keys()];
+}
+
+/**
+ * Builds the named provider from environment settings
+ * @returns {Object|null} The provider, or null if it is unknown or missing settings
+ */
+export function createProvider(name, env = process.env) {
+  const factory = factories.get(name);
+  if (!factory) {
+    console.log(`Unknown AI provider '${name}'. Available providers: ${listProviders().join(', ')}`);
+    return null;
+  }
+
+  try {
+    return factory(env);
+  } catch (error) {
+    console.log(`${name} initialization error: `, error);
+    return null;
+  }
+}
+
+// Chat completions, shared by OpenAI and servers that implement its API
+function openAIChatProvider(name, client, defaultModel, { jsonMode = true, streamUsage = false, systemMessages = true } = {}) {
+  const messages = (prompt, system) => {
+    if (!system) return [{ role: 'user', content: prompt }];
+    return systemMessages
+      ? [{ role: 'system', content: system }, { role: 'user', content: prompt }]
+      : [{ role: 'user', content: `${system}\n\n${prompt}` }];
+  };
+
+  const requestConfig = (prompt, { json = true, model, temperature = 0.3, maxTokens, system }) => {
+    const config = {
+      model: model || defaultModel,
+      messages: messages(prompt, system),
+      temperature
+    };
+    if (maxTokens) {
+      config.max_tokens = maxTokens;
+    }
+    if (json && jsonMode) {
+      config.response_format = { type: 'json_object' };
+    }
+    return config;
+  };
+
+  return {
+    name,
+    model: defaultModel,
+    async complete(prompt, options = {}) {
+      const response = await client.chat.completions.create(requestConfig(prompt, options), { timeout: options.timeoutMs });
+      if (response.usage) {
+        options.onUsage?.({ inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens });
+      }
+      return response.choices[0].message.content;
+    },
+    async *stream(prompt, options = {}) {
+      const stream = await client.chat.completions.create(
+        { ...requestConfig(prompt, options), stream: true, ...(streamUsage && { stream_options: { include_usage: true } }) },
+        { timeout: options.timeoutMs, signal: options.signal }
+      );
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+        // With include_usage the last chunk carries the token counts
+        if (chunk.usage) {
+          options.onUsage?.({ inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens });
+        }
+      }
+    }
+  };
+}
+
+function reportGeminiUsage(response, options) {
+  if (response.usageMetadata) {
+    options.onUsage?.({
+      inputTokens: response.usageMetadata.promptTokenCount,
+      outputTokens: response.usageMetadata.candidatesTokenCount
+    });
+  }
+}
+
+registerProvider('gemini', (env) => {
+  if (!env.GEMINI_API_KEY) return null;
+
+  const defaultModel = env.GEMINI_MODEL || 'gemini-2.0-flash-exp';
+  const genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
+
+  const generativeModel = ({ json = true, model, temperature, maxTokens, system }) => genAI.getGenerativeModel({
+    model: model || defaultModel,
+    ...(system && { systemInstruction: system }),
+    generationConfig: {
+      ...(json && { responseMimeType: 'application/json' }),
+      temperature,
+      maxOutputTokens: maxTokens
+    }
+  });
+
+  return {
+    name: 'gemini',
+    model: defaultModel,
+    async complete(prompt, options = {}) {
+      const result = await generativeModel(options).generateContent(prompt, { timeout: options.timeoutMs });
+      reportGeminiUsage(result.response, options);
+      return result.response.text();
+    },
+    async *stream(prompt, options = {}) {
+      const result = await generativeModel(options).generateContentStream(prompt, {
+        timeout: options.timeoutMs,
+        signal: options.signal
+      });
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+      reportGeminiUsage(await result.response, options);
+    }
+  };
+});
+
+registerProvider('openai', (env) => {
+  if (!env.OPENAI_API_KEY) return null;
+
+  const client = new OpenAI({ apiKey: env.OPENAI_API_KEY });
+  return openAIChatProvider('openai', client, env.OPENAI_MODEL || 'gpt-4o-mini', { streamUsage: true });
+});
+
+// Any server with an OpenAI-style /chat/completions endpoint, such as llama.cpp's server,
+// Ollama (http://localhost:11434/v1) or vLLM, so the app can run without outside access
+registerProvider('openai-compatible', (env) => {
+  if (!env.OPENAI_COMPATIBLE_BASE_URL || !env.OPENAI_COMPATIBLE_MODEL) return null;
+
+  const client = new OpenAI({
+    baseURL: env.OPENAI_COMPATIBLE_BASE_URL,
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: env.OPENAI_COMPATIBLE_API_KEY || 'not-needed'
+  });
+  return openAIChatProvider('openai-compatible', client, env.OPENAI_COMPATIBLE_MODEL, {
+    // Some servers reject response_format; prompts ask for JSON either way
+    jsonMode: env.OPENAI_COMPATIBLE_JSON_MODE !== 'false',
+    // Some chat templates drop or reject a system message; this merges it into the user message
+    systemMessages: env.OPENAI_COMPATIBLE_SYSTEM_MESSAGES !== 'false'
+  });
+});
+
+// Canned offline answers for development and demos (see mockProvider.js)
+registerProvider('mock', () => createMockProvider());
+
+/**
+ * Wraps a provider so its answers are kept as fixture files, one per prompt, named by a hash
+ * of the prompt and mode. In 'record' mode every call goes to `provider` and its answer is
+ * saved; in 'replay' mode answers come only from the saved files, so `provider` may be null
+ * and a prompt with no fixture fails like an unreachable provider would. Prompts have to match
+ * exactly, so ones that embed document ids or today's date only replay against the same data.
+ * @param {Object|null} provider - The provider to record from
+ * @param {Object} options - { mode: 'record' | 'replay', dir: fixture directory }
+ */
+export function withFixtures(provider, { mode, dir }) {
+  // Prompts without a system message keep the key they had before system messages existed
+  const fixturePath = (prompt, { json = true, system }) => {
+    const key = crypto.createHash('sha256').update(JSON.stringify({ json, prompt, ...(system && { system }) })).digest('hex');
+    return path.join(dir, `${key.slice(0, 32)}.json`);
+  };
+
+  const save = async (file, { json = true, system }, prompt, response) => {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      provider: provider.name,
+      model: provider.model,
+      json,
+      system,
+      prompt,
+      response,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+  };
+
+  return {
+    name: provider?.name || 'fixtures',
+    model: `${provider?.model || 'no model'}, ${mode === 'record' ? 'recording' : 'replaying'} fixtures`,
+    async complete(prompt, options = {}) {
+      const file = fixturePath(prompt, options);
+
+      if (mode === 'replay') {
+        try {
+          const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+          return fixture.response;
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            throw new Error(`No AI fixture recorded for this prompt (${path.basename(file)})`);
+          }
+          throw error;
+        }
+      }
+
+      if (!provider) {
+        throw new Error('No AI provider configured to record from');
+      }
+      const response = await provider.complete(prompt, options);
+      await save(file, options, prompt, response);
+      return response;
+    },
+    // Replays come back as one chunk; recordings save the whole streamed reply
+    async *stream(prompt, options = {}) {
+      if (mode === 'replay' || !provider?.stream) {
+        yield await this.complete(prompt, options);
+        return;
+      }
+
+      let response = '';
+      for await (const chunk of provider.stream(prompt, options)) {
+        response += chunk;
+        yield chunk;
+      }
+      if (!options.signal?.aborted) {
+        await save(fixturePath(prompt, options), options, prompt, response);
+      }
+    }
+  };
+}
@@ -0,0 +1,153 @@
+/*
+ * The JSON shape each AI task's prompt asks for, and a small validator for it. Schemas use
+ * a subset of JSON Schema: `type` (a name or a list of names, 'null' for nullable), `required`,
+ * `properties`, `items`, `enum`, `pattern` and `minimum`.
+ */
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+export const AI_SCHEMAS = {
+  interpretSearchQuery: {
+    type: 'object',
+    required: ['keywords', 'topics'],
+    properties: {
+      keywords: stringList,
+      dateReference: { type: ['string', 'null'] },
+      documentType: { type: ['string', 'null'] },
+      topics: stringList,
+      searchStrategy: { type: 'string' }
+    }
+  },
+  analyzeDocumentContent: {
+    type: 'object',
+    required: ['topics', 'documentType', 'summary'],
+    properties: {
+      topics: stringList,
+      documentType: { type: 'string' },
+      summary: { type: 'string' }
+    }
+  },
+  rankDocuments: {
+    type: 'object',
+    required: ['rankedIds'],
+    properties: {
+      rankedIds: stringList,
+      reasoning: { type: 'string' }
+    }
+  },
+  suggestTextImprovement: {
+    type: 'object',
+    required: ['suggestion'],
+    properties: {
+      suggestion: { type: 'string' },
+      changes: { type: 'string' }
+    }
+  },
+  extractActionItems: {
+    type: 'object',
+    required: ['actionItems'],
+    properties: {
+      actionItems: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['description'],
+          properties: {
+            description: { type: 'string' },
+            details: { type: 'string' },
+            priority: { type: 'string', enum: ['high', 'medium', 'low', 'none'] }
+          }
+        }
+      }
+    }
+  },
+  areTasksSimilar: {
+    type: 'object',
+    required: ['areSimilar'],
+    properties: {
+      areSimilar: { type: 'boolean' },
+      reasoning: { type: 'string' }
+    }
+  },
+  draftEmailFromTask: {
+    type: 'object',
+    required: ['recipient', 'subject', 'body'],
+    properties: {
+      recipient: { type: 'string' },
+      subject: { type: 'string' },
+      body: { type: 'string' }
+    }
+  },
+  createCalendarEventFromTask: {
+    type: 'object',
+    required: ['title', 'startDate'],
+    properties: {
+      title: { type: 'string' },
+      startDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+      startTime: { type: ['string', 'null'], pattern: '^\\d{2}:\\d{2}$' },
+      durationMinutes: { type: 'number', minimum: 1 },
+      description: { type: 'string' },
+      location: { type: 'string' },
+      isAllDay: { type: 'boolean' }
+    }
+  },
+  generateWordEdit: {
+    type: 'object',
+    required: ['targetText', 'suggestedEdit'],
+    properties: {
+      targetText: { type: 'string' },
+      suggestedEdit: { type: 'string' },
+      explanation: { type: 'string' },
+      location: { type: 'string' }
+    }
+  },
+  processEditCommand: {
+    type: 'object',
+    required: ['editedText'],
+    properties: {
+      editedText: { type: 'string' },
+      explanation: { type: 'string' }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Checks a value against a schema
+ * @returns {string[]} One message per problem, e.g. "actionItems[0].priority must be one of ..."
+ */
+export function validateSchema(schema, value, where = 'response') {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length > 0 && !types.includes(actual)) {
+    return [`${where} must be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.pattern && actual === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${where} must match ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && actual === 'number' && value < schema.minimum) {
+    errors.push(`${where} must be at least ${schema.minimum}`);
+  }
+  if (actual === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${where}.${key} is missing`));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, propertySchema]) => errors.push(...validateSchema(propertySchema, value[key], `${where}.${key}`)));
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${where}[${index}]`)));
+  }
+  return errors;
+}
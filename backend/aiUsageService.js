@@ -0,0 +1,158 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { getModelPricing, getTaskBudgets } from './aiConfig.js';
+
+// Usage older than this many days is dropped
+const USAGE_RETENTION_DAYS = parseInt(process.env.AI_USAGE_RETENTION_DAYS || '90', 10);
+// Rough characters per token, for providers that don't report token counts
+const CHARS_PER_TOKEN = 4;
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Runs `callback` with AI calls made inside it counted against `documentId`
+ */
+export function withAIUsageContext({ documentId }, callback) {
+  return usageContext.run({ documentId: documentId || null }, callback);
+}
+
+/**
+ * Token counts for a call: what the provider reported, or an estimate from the text lengths
+ * @returns {Object} { inputTokens, outputTokens, estimated }
+ */
+export function tokenUsage(prompt, reply, reported) {
+  if (reported) {
+    return { inputTokens: reported.inputTokens || 0, outputTokens: reported.outputTokens || 0, estimated: false };
+  }
+  return {
+    inputTokens: Math.ceil(prompt.length / CHARS_PER_TOKEN),
+    outputTokens: Math.ceil((reply || '').length / CHARS_PER_TOKEN),
+    estimated: true
+  };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { calls: 0, cachedCalls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, latencyMs: 0 };
+}
+
+function addTotals(totals, row) {
+  Object.keys(totals).forEach(key => { totals[key] += row[key]; });
+  return totals;
+}
+
+// Totals with average latency per call that reached the provider, for reports
+function reportTotals(totals) {
+  const { latencyMs, ...rest } = totals;
+  const liveCalls = totals.calls - totals.cachedCalls;
+  return {
+    ...rest,
+    costUsd: Math.round(totals.costUsd * 1e6) / 1e6,
+    averageLatencyMs: liveCalls > 0 ? Math.round(latencyMs / liveCalls) : null
+  };
+}
+
+/**
+ * Counts AI calls, tokens, latency and estimated cost per day, task and document, and checks
+ * the daily budgets from ai.config.json. Usage is kept as one running total per
+ * (day, task, document, provider, model), so the collection stays small.
+ * @param {Object} aiUsage - Storage collection of usage totals
+ */
+export function createAIUsageMeter({ aiUsage }) {
+  let prunedOn = null;
+
+  const prune = () => {
+    if (prunedOn === today()) return;
+    prunedOn = today();
+    const cutoff = new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    aiUsage.removeWhere(row => row.date < cutoff);
+  };
+
+  /**
+   * Adds one AI call
+   * @param {Object} call - { task, provider, model, inputTokens, outputTokens, estimated, latencyMs, cached, failed }
+   */
+  const record = ({ task, provider, model, inputTokens = 0, outputTokens = 0, estimated = false, latencyMs = 0, cached = false, failed = false }) => {
+    prune();
+    const documentId = usageContext.getStore()?.documentId || null;
+    const date = today();
+    const id = [date, task, documentId || '', provider, model].join('|');
+    const pricing = getModelPricing(model);
+    const costUsd = pricing && !cached
+      ? (inputTokens * pricing.inputPerMillion + outputTokens * pricing.outputPerMillion) / 1e6
+      : 0;
+    const call = {
+      calls: 1,
+      cachedCalls: cached ? 1 : 0,
+      failedCalls: failed ? 1 : 0,
+      inputTokens: cached ? 0 : inputTokens,
+      outputTokens: cached ? 0 : outputTokens,
+      costUsd,
+      latencyMs: cached ? 0 : latencyMs
+    };
+
+    const row = aiUsage.get(id);
+    if (row) {
+      aiUsage.update(id, { ...addTotals(pick(row), call), estimated: row.estimated || (estimated && !cached) });
+    } else {
+      aiUsage.insert({ id, date, task, documentId, provider, model, ...call, estimated: estimated && !cached });
+    }
+  };
+
+  const totalsFor = (rows) => rows.reduce((totals, row) => addTotals(totals, pick(row)), emptyTotals());
+
+  /**
+   * Which of today's budgets `task` has used up, e.g. ['dailyCostUsd'] or ['areTasksSimilar.dailyTokens']
+   */
+  const exceededBudgets = (task) => {
+    const rows = aiUsage.filter(row => row.date === today());
+    const { overall, task: taskLimits } = getTaskBudgets(task);
+    const over = (limits, totals, prefix) => [
+      limits.dailyTokens != null && totals.inputTokens + totals.outputTokens >= limits.dailyTokens && `${prefix}dailyTokens`,
+      limits.dailyCostUsd != null && totals.costUsd >= limits.dailyCostUsd && `${prefix}dailyCostUsd`
+    ].filter(Boolean);
+    return [
+      ...over(overall, totalsFor(rows), ''),
+      ...over(taskLimits, totalsFor(rows.filter(row => row.task === task)), `${task}.`)
+    ];
+  };
+
+  const isOverBudget = (task) => exceededBudgets(task).length > 0;
+
+  /**
+   * Usage over the last `days` days (today included), totalled by day, task and document.
+   * Only calls made for documents `canSeeDocument` allows are counted; budget status stays workspace-wide
+   * @param {Function} canSeeDocument - Whether the caller may see a document's usage
+   */
+  const report = ({ days = 7, tasks = [], canSeeDocument = () => true }) => {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rows = aiUsage.filter(row => row.date >= since && row.documentId && canSeeDocument(row.documentId));
+    const groupBy = (key) => {
+      const groups = {};
+      rows.forEach(row => {
+        groups[row[key]] = addTotals(groups[row[key]] || emptyTotals(), pick(row));
+      });
+      return Object.fromEntries(Object.entries(groups).map(([group, totals]) => [group, reportTotals(totals)]));
+    };
+
+    return {
+      since,
+      days,
+      estimated: rows.some(row => row.estimated),
+      totals: reportTotals(totalsFor(rows)),
+      byDay: groupBy('date'),
+      byTask: groupBy('task'),
+      byDocument: groupBy('documentId'),
+      exceededToday: Object.fromEntries(tasks.map(task => [task, exceededBudgets(task)]).filter(([, over]) => over.length > 0))
+    };
+  };
+
+  return { record, isOverBudget, exceededBudgets, report };
+}
+
+// The counters of a usage row
+function pick(row) {
+  return Object.fromEntries(Object.keys(emptyTotals()).map(key => [key, row[key] || 0]));
+}
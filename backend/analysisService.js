@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import { analyzeDocumentContent } from './aiService.js';
+import { withAIUsageContext } from './aiUsageService.js';
+
+// Analysis waits until a document has been quiet for this long...
+const ANALYSIS_DELAY_MS = parseInt(process.env.ANALYSIS_DELAY_SECONDS || '10', 10) * 1000;
+// ...and runs at most this often per document
+const ANALYSIS_MIN_INTERVAL_MS = parseInt(process.env.ANALYSIS_MIN_INTERVAL_SECONDS || '120', 10) * 1000;
+// Documents shorter than this aren't worth analyzing
+const MIN_ANALYSIS_LENGTH = 10;
+
+/**
+ * Hash of the text an analysis depends on. Markup, highlights and whitespace
+ * are left out so formatting-only edits don't trigger a new analysis.
+ */
+export function analysisHash(title, content) {
+  const text = (content || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(`${title}\n${text}`).digest('hex');
+}
+
+/**
+ * Background metadata analysis, debounced and rate-limited per document
+ * @param {Function} loadDocument - Returns the current document (with rendered HTML) or null
+ * @param {Function} saveAnalysis - Stores (docId, metadata, hash)
+ */
+export function createAnalysisScheduler({ loadDocument, saveAnalysis }) {
+  const timers = new Map();
+  const lastRunAt = new Map();
+  const running = new Set();
+
+  const schedule = (docId) => {
+    clearTimeout(timers.get(docId));
+    const nextAllowedIn = (lastRunAt.get(docId) || 0) + ANALYSIS_MIN_INTERVAL_MS - Date.now();
+    const timer = setTimeout(() => run(docId), Math.max(ANALYSIS_DELAY_MS, nextAllowedIn));
+    // Don't keep the process alive for pending analyses
+    timer.unref();
+    timers.set(docId, timer);
+  };
+
+  const run = async (docId) => {
+    timers.delete(docId);
+    // One analysis per document at a time; try again once the current one is done
+    if (running.has(docId)) {
+      schedule(docId);
+      return;
+    }
+
+    const doc = loadDocument(docId);
+    if (!doc || doc.content.length <= MIN_ANALYSIS_LENGTH) {
+      return;
+    }
+    const hash = analysisHash(doc.title, doc.content);
+    if (hash === doc.analysisHash) {
+      return;
+    }
+
+    running.add(docId);
+    lastRunAt.set(docId, Date.now());
+    try {
+      const metadata = await withAIUsageContext({ documentId: docId }, () => analyzeDocumentContent(doc.title, doc.content));
+      saveAnalysis(docId, metadata, hash);
+    } catch (error) {
+      console.error('Error analyzing document:', error);
+    } finally {
+      running.delete(docId);
+    }
+  };
+
+  return { schedule };
+}
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// How long a login stays valid
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hashes a password with scrypt and a random salt, as "scrypt$<salt>$<key>"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, expected] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const key = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+  return crypto.timingSafeEqual(key, Buffer.from(expected, 'hex'));
+}
+
+// Only a hash of each session token is stored, so a leaked database can't be used to log in
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Starts a session for a user
+ * @returns {string} The opaque token the client sends back as "Authorization: Bearer <token>"
+ */
+export function createSession(sessions, userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  sessions.removeWhere(session => new Date(session.expiresAt).getTime() <= now);
+  sessions.insert({
+    id: hashToken(token),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_DAYS * DAY_MS).toISOString()
+  });
+  return token;
+}
+
+export function endSession(sessions, token) {
+  sessions.remove(hashToken(token));
+}
+
+/**
+ * Token from the Authorization header. Requests that can't set headers (WebSockets,
+ * EventSource, download links) may send ?access_token= instead when `allowQueryToken` is set;
+ * anywhere else it is ignored, since URLs end up in logs, history and Referer headers.
+ */
+export function getRequestToken(req, { allowQueryToken = false } = {}) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (!allowQueryToken) {
+    return null;
+  }
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  return searchParams.get('access_token');
+}
+
+/**
+ * Resolves the user behind a request's token, or null
+ * @param {Object} options - { allowQueryToken } (see getRequestToken)
+ */
+export function authenticateRequest(req, { sessions, users }, options = {}) {
+  const token = getRequestToken(req, options);
+  if (!token) {
+    return null;
+  }
+  const session = sessions.get(hashToken(token));
+  if (!session) {
+    return null;
+  }
+  if (new Date(session.expiresAt) <= new Date()) {
+    sessions.remove(session.id);
+    return null;
+  }
+  return users.get(session.userId);
+}
+
+/**
+ * Express middleware that rejects requests without a valid session and sets req.user
+ * @param {Function} allowQueryToken - Whether a request may send its token as ?access_token=
+ */
+export function requireAuth({ sessions, users }, allowQueryToken = () => false) {
+  return (req, res, next) => {
+    const options = { allowQueryToken: allowQueryToken(req) };
+    const user = authenticateRequest(req, { sessions, users }, options);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    req.token = getRequestToken(req, options);
+    next();
+  };
+}
+
+// Fields of a user that are safe to send to clients
+export function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    createdAt: user.createdAt
+  };
+}
@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import Delta from 'quill-delta';
+import { WebSocketServer } from 'ws';
+import { applyDeltaOps, countDeltaChanges, isValidDeltaOps } from './deltaService.js';
+import { shiftTabItems, transformTabOps, applyTabOps, attributeTabOps, limitCommenterTabOps } from './tabItemService.js';
+import { createPresenceTracker } from './presenceService.js';
+import { canMakeEdit } from './sharingService.js';
+
+// Clients connect to /api/documents/<id>/live
+const LIVE_PATH = /^\/api\/documents\/([^/]+)\/live$/;
+// Changes kept per document for rebasing late edits; older clients are asked to resync
+const MAX_LOG_LENGTH = 500;
+// Ids of recent live changes kept per document, for clients that reconnect without an ack
+const MAX_APPLIED_CHANGE_IDS = 100;
+
+/**
+ * Rebases a change over another change made against the same revision.
+ * A change is { delta, tabOps, title }; tab operations apply after the delta.
+ * @param {boolean} hasPriority - Whether `change` wins ties (inserts at the same index go first)
+ */
+export function transformChange(change, against, hasPriority) {
+  const delta = new Delta(change.delta);
+  const againstDelta = new Delta(against.delta);
+
+  return {
+    ...change,
+    delta: againstDelta.transform(delta, !hasPriority).ops,
+    // Tab positions are relative to the document after `change`, so move them past `against` as seen from there
+    tabOps: transformTabOps(change.tabOps || [], delta.transform(againstDelta, hasPriority))
+  };
+}
+
+/**
+ * Real-time collaborative editing: one room per open document, synced with operational transformation.
+ *
+ * Clients authenticate with ?access_token=<session token> on the WebSocket URL. A client that
+ * lost its connection while a change was unacknowledged adds &pendingChange=<changeId>, and
+ * `pendingChangeApplied` in 'init' tells it whether that change made it in.
+ *
+ * Protocol (JSON messages):
+ *   server -> client  { type: 'init', clientId, document: { revision, title, delta, tabs, customTabs, role }, collaborators, pendingChangeApplied }
+ *   client -> server  { type: 'change', changeId, baseRevision, delta, tabOps, title }
+ *   server -> client  { type: 'ack', revision }                              (to the sender)
+ *   server -> client  { type: 'change', revision, delta, tabOps, title }     (to everyone else)
+ *   server -> client  { type: 'resync' }   (the document or the client's access changed; reload it)
+ *   client -> server  { type: 'presence', selection }   (heartbeat; selection is { index, length } or null)
+ *   server -> client  { type: 'presence', collaborators: [{ clientId, userId, name, color, selection }] }
+ *
+ * @param {Function} loadDocument - Returns the active document or null
+ * @param {Function} commitChange - Stores (doc, { delta, tabs, customTabs, title, changedCharacters }, user), returns the updated doc
+ * @param {Function} authenticate - Returns the user behind an upgrade request, or null
+ * @param {Function} getRole - The role of (doc, user), or null without access (see sharingService.js)
+ */
+export function createCollaboration({ loadDocument, commitChange, authenticate, getRole }) {
+  const rooms = new Map();
+  // Document id -> ids of its most recent live changes; kept when rooms empty or reset
+  const appliedChanges = new Map();
+  const presence = createPresenceTracker({
+    onChange: (docId, collaborators) => {
+      rooms.get(docId)?.clients.forEach(client => send(client, { type: 'presence', collaborators }));
+    }
+  });
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const getRoom = (doc) => {
+    if (!rooms.has(doc.id)) {
+      rooms.set(doc.id, { clients: new Set(), log: [], startRevision: doc.revision });
+    }
+    return rooms.get(doc.id);
+  };
+
+  const handleChange = (docId, socket, user, clientId, message) => {
+    const room = rooms.get(docId);
+    const doc = loadDocument(docId);
+    const tabOpsValid = message.tabOps === undefined
+      || (Array.isArray(message.tabOps) && message.tabOps.every(op => op && typeof op === 'object'));
+    const malformed = !isValidDeltaOps(message.delta || []) || !tabOpsValid;
+    if (malformed || !room || !doc || !doc.delta || message.baseRevision < room.startRevision || message.baseRevision > doc.revision) {
+      send(socket, { type: 'resync' });
+      return;
+    }
+    // Viewers and commenters only get this far with an outdated role; the resync tells them the current one
+    const titleChanged = message.title !== undefined && message.title !== doc.title;
+    const role = getRole(doc, user);
+    if (!canMakeEdit(role, { ops: message.delta || [], title: titleChanged })) {
+      send(socket, { type: 'resync' });
+      return;
+    }
+    const tabOps = role === 'commenter' ? limitCommenterTabOps(message.tabOps || [], doc, user) : message.tabOps || [];
+
+    // Rebase over everything the client hadn't seen yet; changes already on the server win ties
+    let change = { delta: message.delta || [], tabOps: attributeTabOps(tabOps, user), title: message.title };
+    room.log
+      .filter(entry => entry.revision > message.baseRevision)
+      .forEach(entry => {
+        change = transformChange(change, entry.change, false);
+      });
+
+    const delta = change.delta.length > 0 ? applyDeltaOps(doc.delta, change.delta) : doc.delta;
+    if (!delta) {
+      send(socket, { type: 'resync' });
+      return;
+    }
+
+    const shifted = shiftTabItems(doc.tabs, doc.customTabs, change.delta, delta);
+    const { tabs, customTabs } = applyTabOps(shifted.tabs, shifted.customTabs, change.tabOps);
+    const updated = commitChange(doc, {
+      delta,
+      tabs,
+      customTabs,
+      title: change.title,
+      changedCharacters: countDeltaChanges(change.delta)
+    }, user);
+
+    presence.transform(docId, change.delta, clientId);
+    if (typeof message.changeId === 'string') {
+      const ids = appliedChanges.get(docId) || [];
+      appliedChanges.set(docId, [...ids, message.changeId].slice(-MAX_APPLIED_CHANGE_IDS));
+    }
+    room.log.push({ revision: updated.revision, change });
+    if (room.log.length > MAX_LOG_LENGTH) {
+      room.log.shift();
+      room.startRevision = room.log[0].revision - 1;
+    }
+
+    send(socket, { type: 'ack', revision: updated.revision });
+    room.clients.forEach(client => {
+      if (client !== socket) {
+        send(client, { type: 'change', revision: updated.revision, ...change });
+      }
+    });
+  };
+
+  const join = (doc, user, socket, pendingChange) => {
+    const room = getRoom(doc);
+    const clientId = crypto.randomUUID();
+    room.clients.add(socket);
+    send(socket, {
+      type: 'init',
+      clientId,
+      collaborators: presence.list(doc.id),
+      pendingChangeApplied: Boolean(pendingChange) && (appliedChanges.get(doc.id) || []).includes(pendingChange),
+      document: {
+        revision: doc.revision,
+        title: doc.title,
+        delta: doc.delta,
+        tabs: doc.tabs,
+        customTabs: doc.customTabs,
+        role: getRole(doc, user)
+      }
+    });
+
+    socket.on('message', (data) => {
+      try {
+        const message = JSON.parse(data);
+        if (message.type === 'change') {
+          handleChange(doc.id, socket, user, clientId, message);
+        } else if (message.type === 'presence') {
+          presence.heartbeat(doc.id, clientId, { userId: user.id, name: user.name, selection: message.selection });
+        }
+      } catch (error) {
+        console.error('Error handling live edit:', error);
+        send(socket, { type: 'resync' });
+      }
+    });
+
+    socket.on('close', () => {
+      room.clients.delete(socket);
+      presence.leave(doc.id, clientId);
+      if (room.clients.size === 0) {
+        rooms.delete(doc.id);
+      }
+    });
+  };
+
+  /**
+   * Accepts WebSocket upgrades for live document URLs on an HTTP server
+   */
+  const attach = (server) => {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      const match = pathname.match(LIVE_PATH);
+      const user = match && authenticate(req);
+      if (match && !user) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      const doc = match && loadDocument(decodeURIComponent(match[1]));
+      // Live editing needs the canonical Delta. The editor uploads it after loading a document
+      // that has none, or after an HTML save once it finds itself turned away here.
+      if (!doc || !doc.delta || !getRole(doc, user)) {
+        socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => join(doc, user, ws, searchParams.get('pendingChange')));
+    });
+  };
+
+  /**
+   * Call after a document changes outside the room (HTTP saves, restores); everyone reloads it
+   */
+  const reset = (docId) => {
+    const room = rooms.get(docId);
+    const doc = loadDocument(docId);
+    if (!room) {
+      return;
+    }
+    room.log = [];
+    room.startRevision = doc ? doc.revision : Infinity;
+    room.clients.forEach(client => send(client, { type: 'resync' }));
+  };
+
+  return { attach, reset };
+}
@@ -0,0 +1,100 @@
+import Delta from 'quill-delta';
+import { QuillDeltaToHtmlConverter } from 'quill-delta-to-html';
+import sanitize from 'sanitize-html';
+
+// What Quill's formats need: its block and inline tags, classes (ql-align-*, ql-indent-*, ...),
+// inline styles and data attributes; anything that can run script is dropped
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitize.defaults.allowedTags, 'img', 'span', 's', 'u', 'sub', 'sup'],
+  allowedAttributes: {
+    '*': ['class', 'style', 'data-*'],
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    ol: ['start']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] }
+};
+
+const DELTA_OP_KINDS = ['insert', 'retain', 'delete'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidOp(op, insertOnly) {
+  if (!isPlainObject(op) || Object.keys(op).some(key => key !== 'attributes' && !DELTA_OP_KINDS.includes(key))) {
+    return false;
+  }
+  const kinds = DELTA_OP_KINDS.filter(kind => op[kind] !== undefined);
+  if (kinds.length !== 1 || (op.attributes !== undefined && !isPlainObject(op.attributes))) {
+    return false;
+  }
+  if (kinds[0] === 'insert') {
+    // Text, or an embed such as { image: url }
+    return (typeof op.insert === 'string' && op.insert.length > 0) || isPlainObject(op.insert);
+  }
+  if (insertOnly || (kinds[0] === 'delete' && op.attributes !== undefined)) {
+    return false;
+  }
+  return Number.isInteger(op[kinds[0]]) && op[kinds[0]] > 0;
+}
+
+/**
+ * Whether `ops` is a list of well-formed Quill Delta operations: objects with exactly one
+ * insert, retain or delete, and attributes only where they belong
+ * @param {Object} options - { insertOnly: true for a whole document rather than a change }
+ */
+export function isValidDeltaOps(ops, { insertOnly = false } = {}) {
+  return Array.isArray(ops) && ops.every(op => isValidOp(op, insertOnly));
+}
+
+/**
+ * Applies Quill Delta operations to a document's canonical Delta
+ * @param {Array} documentOps - The document, as insert-only ops
+ * @param {Array} ops - Change ops (retain/insert/delete) made against that document
+ * @returns {Array|null} The new document ops, or null if the change doesn't fit the document
+ */
+export function applyDeltaOps(documentOps, ops) {
+  const result = new Delta(documentOps).compose(new Delta(ops));
+
+  // Retaining past the end leaves non-insert ops behind, which means the client was out of sync
+  if (!result.ops.every(op => op.insert !== undefined)) {
+    return null;
+  }
+  return result.ops;
+}
+
+/**
+ * Renders a Delta to HTML close to what Quill itself produces
+ */
+export function deltaToHtml(ops) {
+  const converter = new QuillDeltaToHtmlConverter(ops, {
+    inlineStyles: {
+      font: value => `font-family: ${value}`,
+      size: value => `font-size: ${value}`
+    },
+    multiLineParagraph: false
+  });
+  return sanitizeDocumentHtml(converter.convert());
+}
+
+/**
+ * Document HTML with anything that could run script removed. Content is shown to everyone the
+ * document is shared with, so HTML from clients goes through this before it is stored.
+ */
+export function sanitizeDocumentHtml(html) {
+  return sanitize(html || '', SANITIZE_OPTIONS);
+}
+
+/**
+ * Number of characters a change inserts or deletes (formatting-only changes count as zero)
+ */
+export function countDeltaChanges(ops) {
+  return ops.reduce((total, op) => {
+    if (op.insert !== undefined) {
+      return total + (typeof op.insert === 'string' ? op.insert.length : 1);
+    }
+    return total + (op.delete || 0);
+  }, 0);
+}
@@ -0,0 +1,47 @@
+/**
+ * Returns the IDs of a folder and every folder nested inside it
+ */
+export function getSubtreeFolderIds(folders, folderId) {
+  const ids = new Set([folderId]);
+  let added = true;
+
+  // Keep sweeping until no new children are found (folders are few, so this stays cheap)
+  while (added) {
+    added = false;
+    for (const folder of folders) {
+      if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+        ids.add(folder.id);
+        added = true;
+      }
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Returns the chain of folders from the root down to (and including) the given folder
+ */
+export function getFolderPath(folders, folderId) {
+  const path = [];
+  const seen = new Set();
+  let current = folders.find(f => f.id === folderId);
+
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift({ id: current.id, name: current.name });
+    current = current.parentId ? folders.find(f => f.id === current.parentId) : null;
+  }
+
+  return path;
+}
+
+/**
+ * Checks whether moving a folder under newParentId would create a cycle
+ */
+export function wouldCreateCycle(folders, folderId, newParentId) {
+  if (!newParentId) {
+    return false;
+  }
+  return getSubtreeFolderIds(folders, folderId).has(newParentId);
+}
@@ -0,0 +1,64 @@
+// @handle: letters, digits and . _ + - (an email address's local part)
+const MENTION_PATTERN = /(?:^|[^\w.+-])@([\w.+-]+)/g;
+
+/**
+ * The name people type after @ to mention a user: their email address up to the @
+ */
+export function mentionHandle(user) {
+  return user.email.split('@')[0].toLowerCase();
+}
+
+/**
+ * Users mentioned in a piece of text, each once, in the order they first appear
+ * @param {string} text - Comment text
+ * @param {Array} users - Accounts that can be mentioned
+ */
+export function findMentionedUsers(text, users) {
+  const byHandle = new Map(users.map(user => [mentionHandle(user), user]));
+  const mentioned = new Map();
+
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    // Sentence punctuation right after a handle isn't part of it ("thanks @alex.")
+    const handle = match[1].replace(/[.+-]+$/, '').toLowerCase();
+    const user = byHandle.get(handle);
+    if (user && !mentioned.has(user.id)) {
+      mentioned.set(user.id, user);
+    }
+  }
+
+  return [...mentioned.values()];
+}
+
+/**
+ * Action item assigning a comment to a mentioned user, linked back to the tab item and its highlight
+ * @param {Object} doc - The commented document
+ * @param {Object} comment - { tabId, itemId, text, highlightedText, position, length }
+ * @param {Object} assignee - The mentioned user
+ * @param {Object} author - The user who wrote the comment
+ */
+export function createMentionActionItem(doc, comment, assignee, author) {
+  return {
+    ownerId: assignee.id,
+    description: comment.text,
+    details: comment.highlightedText ? `"${comment.highlightedText}"` : '',
+    priority: 'none',
+    documentId: doc.id,
+    documentTitle: doc.title,
+    createdAt: new Date().toISOString(),
+    assignedBy: { id: author.id, name: author.name },
+    source: {
+      type: 'mention',
+      tabId: comment.tabId,
+      itemId: comment.itemId,
+      position: comment.position,
+      length: comment.length,
+      highlightedText: comment.highlightedText || ''
+    },
+    isEmailTask: false,
+    emailDraft: null,
+    isCalendarTask: false,
+    calendarEvent: null,
+    isWordEditTask: false,
+    wordEdit: null
+  };
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+
+/**
+ * Ordered schema migrations for the document store.
+ * Each migration runs once, in order, and the database remembers the last applied version.
+ * Never edit a migration that has shipped - add a new one instead.
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create documents and action items collections',
+    up(data) {
+      data.collections.documents = data.collections.documents || [];
+      data.collections.actionItems = data.collections.actionItems || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Fill in missing tabs, custom tabs and comments on documents',
+    up(data) {
+      data.collections.documents = data.collections.documents.map(doc => ({
+        ...doc,
+        comments: doc.comments || [],
+        tabs: {
+          summary: [],
+          definitions: [],
+          questions: [],
+          notes: [],
+          edits: [],
+          versions: [],
+          ...doc.tabs
+        },
+        customTabs: doc.customTabs || []
+      }));
+    }
+  },
+  {
+    version: 3,
+    description: 'Add folders and place existing documents at the root',
+    up(data) {
+      data.collections.folders = data.collections.folders || [];
+      data.collections.documents = data.collections.documents.map(doc => ({
+        ...doc,
+        folderId: doc.folderId || null
+      }));
+    }
+  },
+  {
+    version: 4,
+    description: 'Add trash support and drop action items of already deleted documents',
+    up(data) {
+      data.collections.documents = data.collections.documents.map(doc => ({
+        ...doc,
+        deletedAt: doc.deletedAt || null
+      }));
+      const docIds = new Set(data.collections.documents.map(doc => doc.id));
+      data.collections.actionItems = data.collections.actionItems.filter(item => docIds.has(item.documentId));
+    }
+  },
+  {
+    version: 5,
+    description: 'Give every action item a stable ID',
+    up(data) {
+      data.collections.actionItems = data.collections.actionItems.map(item => ({
+        id: item.id || crypto.randomUUID(),
+        ...item
+      }));
+    }
+  },
+  {
+    version: 6,
+    description: 'Start document revisions for optimistic concurrency',
+    up(data) {
+      data.collections.documents = data.collections.documents.map(doc => ({
+        ...doc,
+        revision: doc.revision || 1
+      }));
+    }
+  },
+  {
+    version: 7,
+    description: 'Add a Quill Delta field to documents (HTML stays canonical until a Delta is saved)',
+    up(data) {
+      data.collections.documents = data.collections.documents.map(doc => ({
+        ...doc,
+        delta: doc.delta || null
+      }));
+    }
+  },
+  {
+    version: 8,
+    description: 'Add user accounts and owners (existing records go to the first account)',
+    up(data) {
+      data.collections.users = data.collections.users || [];
+      data.collections.sessions = data.collections.sessions || [];
+      ['documents', 'actionItems', 'folders'].forEach(name => {
+        data.collections[name] = (data.collections[name] || []).map(record => ({
+          ...record,
+          ownerId: record.ownerId || null
+        }));
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Add per-document shares',
+    up(data) {
+      data.collections.documents = data.collections.documents.map(doc => ({
+        ...doc,
+        shares: doc.shares || []
+      }));
+    }
+  },
+  {
+    version: 10,
+    description: 'Add in-app notifications',
+    up(data) {
+      data.collections.notifications = data.collections.notifications || [];
+    }
+  },
+  {
+    version: 11,
+    description: 'Add per-document activity log',
+    up(data) {
+      data.collections.activity = data.collections.activity || [];
+    }
+  },
+  {
+    version: 12,
+    description: 'Add outbound webhooks and their delivery log',
+    up(data) {
+      data.collections.webhooks = data.collections.webhooks || [];
+      data.collections.webhookDeliveries = data.collections.webhookDeliveries || [];
+    }
+  },
+  {
+    version: 13,
+    description: 'Add daily AI usage totals',
+    up(data) {
+      data.collections.aiUsage = data.collections.aiUsage || [];
+    }
+  },
+  {
+    version: 14,
+    description: 'Drop receiver responses from the webhook delivery log',
+    up(data) {
+      data.collections.webhookDeliveries = (data.collections.webhookDeliveries || []).map(delivery => ({
+        ...delivery,
+        attempts: (delivery.attempts || []).map(({ response, ...attempt }) => attempt)
+      }));
+    }
+  }
+];
+
+/**
+ * Applies every migration newer than data.schemaVersion
+ * @returns {number} The number of migrations applied
+ */
+export function runMigrations(data) {
+  const currentVersion = data.schemaVersion || 0;
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+
+  for (const migration of pending) {
+    console.log(`Running migration ${migration.version}: ${migration.description}`);
+    migration.up(data);
+    data.schemaVersion = migration.version;
+  }
+
+  return pending.length;
+}
@@ -0,0 +1,120 @@
+import { readPromptData } from './promptBuilder.js';
+
+/*
+ * Offline AI provider with fixed answers, so the real AI code paths (prompt building, JSON
+ * parsing, post-processing) run without API keys. Each prompt in aiService.js is recognized
+ * by the opening words of its instructions and gets a reply in the shape that prompt asks for,
+ * built only from the prompt's data blocks: the same prompt always gets the same reply.
+ */
+
+// Streamed replies come in chunks of this many characters, this far apart
+const STREAM_CHUNK_LENGTH = 4;
+const STREAM_CHUNK_DELAY_MS = 40;
+
+function firstSentence(text) {
+  const match = text.trim().match(/^[^.!?]+[.!?]?/);
+  return match ? match[0].trim() : '';
+}
+
+// [opening words of a prompt's instructions, reply builder (data blocks, instructions)]
+const RESPONDERS = [
+  ['You are a search query interpreter', (data) => {
+    const keywords = (data.search_query || '').toLowerCase().split(/\s+/).filter(word => word.length > 2);
+    return {
+      keywords,
+      dateReference: null,
+      documentType: null,
+      topics: keywords,
+      searchStrategy: 'Mock: match the query keywords'
+    };
+  }],
+  ['Analyze this document and extract metadata', (data) => ({
+    topics: ['mock'],
+    documentType: 'notes',
+    summary: `Mock summary of "${data.document_title || ''}"`
+  })],
+  ['You are a document ranking system', (data) => ({
+    rankedIds: (data.documents || []).map(doc => doc.id),
+    reasoning: 'Mock: documents in their original order'
+  })],
+  ['You are a professional writing assistant', (data) => ({
+    suggestion: (data.original_text || '').trim(),
+    changes: 'Mock: no changes'
+  })],
+  ['You are an action item detector', (data) => ({
+    actionItems: [...(data.document_content || '').matchAll(/TODO:\s*(.+?)(?:[.!?](?:\s|$)|\n|$)/gi)].map(match => ({
+      description: match[1].trim(),
+      details: '',
+      priority: 'medium'
+    }))
+  })],
+  ['You are a task similarity detector', (data) => {
+    const description = (task) => (task?.description || '').toLowerCase().trim();
+    const same = description(data.task_1) === description(data.task_2);
+    return { areSimilar: same, reasoning: same ? 'Mock: identical wording' : 'Mock: different wording' };
+  }],
+  ['You are an email writing assistant', (data) => {
+    const task = data.action_item?.description || '';
+    const email = task.match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+    return {
+      recipient: email ? email[0] : '',
+      subject: `Re: ${task}`,
+      body: `Hello,\n\nFollowing up on: ${task}\n\nBest regards`
+    };
+  }],
+  ['You are a calendar event creator', (data, instructions) => {
+    const date = instructions.match(/Today's date: (\S+)/);
+    return {
+      title: data.action_item?.description || '',
+      startDate: date ? date[1] : '2025-01-01',
+      startTime: '09:00',
+      durationMinutes: 60,
+      description: 'Mock event',
+      location: '',
+      isAllDay: false
+    };
+  }],
+  ['You are a professional editor', (data) => {
+    const targetText = firstSentence(data.document_content || '');
+    return {
+      targetText,
+      suggestedEdit: targetText,
+      explanation: 'Mock: text left as it was',
+      location: 'first sentence'
+    };
+  }],
+  ['You are a text editing assistant', (data) => ({
+    editedText: data.original_text || '',
+    explanation: `Mock: would apply "${data.user_request || ''}"`
+  })]
+];
+
+/**
+ * A provider ({ name, model, complete }) that answers from RESPONDERS. Prompts it doesn't
+ * recognize get an empty JSON object, or a fixed sentence in text mode.
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+    async complete(prompt, { json = true, system = '' } = {}) {
+      // Repair re-prompts (see callAIForJSON) keep the original instructions, so they match too
+      const instructions = system || prompt;
+      const data = readPromptData(prompt);
+      const responder = RESPONDERS.find(([opening]) => instructions.startsWith(opening));
+      if (!json) {
+        const highlighted = data.selected_text;
+        return `Mock response about "${highlighted ? highlighted.slice(0, 80) : 'the text'}".`;
+      }
+      return JSON.stringify(responder ? responder[1](data, instructions) : {});
+    },
+    // The same reply a few characters at a time, paced like a real model
+    async *stream(prompt, options = {}) {
+      const text = await this.complete(prompt, options);
+      for (let i = 0; i < text.length && !options.signal?.aborted; i += STREAM_CHUNK_LENGTH) {
+        await new Promise(resolve => setTimeout(resolve, STREAM_CHUNK_DELAY_MS));
+        yield text.slice(i, i + STREAM_CHUNK_LENGTH);
+      }
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+// Older notifications are dropped once a user has this many
+const MAX_NOTIFICATIONS_PER_USER = 100;
+// Comment lines sent on idle streams so proxies don't close them
+const STREAM_KEEPALIVE_MS = 25 * 1000;
+
+/**
+ * Stores per-user notifications and pushes new ones to the user's open event streams
+ * @param {Object} notifications - Storage collection holding every user's notifications
+ */
+export function createNotificationCenter({ notifications }) {
+  const streams = new Map(); // userId -> Set of open SSE responses
+
+  const send = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const list = (userId) => notifications
+    .filter(notification => notification.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  const unreadCount = (userId) => list(userId).filter(notification => !notification.read).length;
+
+  const broadcast = (userId, event, data) => {
+    (streams.get(userId) || []).forEach(res => send(res, event, data));
+  };
+
+  /**
+   * Records a notification for a user
+   * @param {Object} notification - { type, title, documentId?, actionItemId?, itemId? }
+   */
+  const notify = (userId, notification) => {
+    const created = notifications.insert({
+      id: crypto.randomUUID(),
+      userId,
+      ...notification,
+      read: false,
+      createdAt: new Date().toISOString()
+    });
+
+    const stale = list(userId).slice(MAX_NOTIFICATIONS_PER_USER);
+    if (stale.length > 0) {
+      const staleIds = new Set(stale.map(n => n.id));
+      notifications.removeWhere(n => staleIds.has(n.id));
+    }
+
+    broadcast(userId, 'notification', { notification: created, unreadCount: unreadCount(userId) });
+    return created;
+  };
+
+  /**
+   * Marks notifications read; without ids, all of the user's notifications
+   */
+  const markRead = (userId, ids = null) => {
+    const wanted = ids && new Set(ids);
+    list(userId)
+      .filter(notification => !notification.read && (!wanted || wanted.has(notification.id)))
+      .forEach(notification => notifications.update(notification.id, { read: true }));
+
+    broadcast(userId, 'read', { ids, unreadCount: unreadCount(userId) });
+  };
+
+  /**
+   * Turns a response into an event stream of the user's notifications until the client disconnects
+   */
+  const subscribe = (userId, req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    send(res, 'ready', { unreadCount: unreadCount(userId) });
+
+    if (!streams.has(userId)) {
+      streams.set(userId, new Set());
+    }
+    streams.get(userId).add(res);
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), STREAM_KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      const userStreams = streams.get(userId);
+      userStreams.delete(res);
+      if (userStreams.size === 0) {
+        streams.delete(userId);
+      }
+    });
+  };
+
+  return { notify, list, unreadCount, markRead, subscribe };
+}
@@ -0,0 +1,91 @@
+import Delta from 'quill-delta';
+
+// Collaborators who haven't sent a heartbeat for this long are dropped
+const PRESENCE_TIMEOUT_MS = 45 * 1000;
+// How often stale collaborators are looked for
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+// Caret and selection colors, handed out in order of arrival
+const PRESENCE_COLORS = ['#E53935', '#1E88E5', '#43A047', '#FB8C00', '#8E24AA', '#00ACC1', '#D81B60', '#6D4C41'];
+
+/**
+ * Tracks who has each document open and where their cursor is, from client heartbeats
+ * @param {Function} onChange - Called with (docId, collaborators) when someone joins, leaves or moves
+ */
+export function createPresenceTracker({ onChange }) {
+  const documents = new Map();
+
+  const list = (docId) => [...(documents.get(docId)?.values() || [])].map(({ lastSeenAt, ...entry }) => entry);
+
+  const notify = (docId) => onChange(docId, list(docId));
+
+  const nextColor = (entries) => {
+    const used = new Set([...entries.values()].map(entry => entry.color));
+    return PRESENCE_COLORS.find(color => !used.has(color)) || PRESENCE_COLORS[entries.size % PRESENCE_COLORS.length];
+  };
+
+  /**
+   * Records a heartbeat; `state` carries the collaborator's userId, name and selection ({ index, length } or null)
+   */
+  const heartbeat = (docId, clientId, state) => {
+    if (!documents.has(docId)) {
+      documents.set(docId, new Map());
+    }
+    const entries = documents.get(docId);
+    const previous = entries.get(clientId);
+
+    entries.set(clientId, {
+      clientId,
+      userId: state.userId,
+      name: state.name,
+      color: previous?.color || nextColor(entries),
+      selection: state.selection !== undefined ? state.selection : previous?.selection || null,
+      lastSeenAt: Date.now()
+    });
+    // Plain keep-alives don't need to reach anyone
+    if (!previous || state.selection !== undefined) {
+      notify(docId);
+    }
+  };
+
+  const leave = (docId, clientId) => {
+    const entries = documents.get(docId);
+    if (!entries || !entries.delete(clientId)) {
+      return;
+    }
+    if (entries.size === 0) {
+      documents.delete(docId);
+    }
+    notify(docId);
+  };
+
+  /**
+   * Moves everyone's selection (except the author's) through a content change
+   */
+  const transform = (docId, delta, authorId) => {
+    const change = new Delta(delta);
+    documents.get(docId)?.forEach(entry => {
+      if (entry.clientId === authorId || !entry.selection) {
+        return;
+      }
+      const index = change.transformPosition(entry.selection.index);
+      const end = change.transformPosition(entry.selection.index + entry.selection.length);
+      entry.selection = { index, length: Math.max(0, end - index) };
+    });
+  };
+
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - PRESENCE_TIMEOUT_MS;
+    documents.forEach((entries, docId) => {
+      entries.forEach(entry => {
+        if (entry.lastSeenAt < cutoff) {
+          leave(docId, entry.clientId);
+        }
+      });
+    });
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just to expire collaborators
+  sweeper.unref();
+
+  return { heartbeat, leave, transform, list };
+}
@@ -1,143 +1,404 @@
 // IMPORTANT: Load config first to clear global env vars and load local .env
 import './config.js';
 
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
-import { interpretSearchQuery, analyzeDocumentContent, rankDocuments, suggestTextImprovement, extractActionItems, areTasksSimilar, draftEmailFromTask, createCalendarEventFromTask, processAICommand, generateWordEdit, processEditCommand } from './aiService.js';
+import { createStore } from './storage.js';
+import { createSnapshot, listVersions, shouldSnapshot, isSnapshotDue, versionSummary, diffHtml } from './versionService.js';
+import { applyDeltaOps, deltaToHtml, countDeltaChanges, sanitizeDocumentHtml, isValidDeltaOps } from './deltaService.js';
+import { createCollaboration } from './collabService.js';
+import { attributeTabChanges, mergeCommenterTabs } from './tabItemService.js';
+import { getSubtreeFolderIds, getFolderPath, wouldCreateCycle } from './folderService.js';
+import { isTrashed, getPurgeDate, findExpiredDocuments, startTrashSweeper } from './trashService.js';
+import { createAnalysisScheduler } from './analysisService.js';
+import { SHARE_ROLES, getDocumentRole, hasRole, canMakeEdit } from './sharingService.js';
+import { createNotificationCenter } from './notificationService.js';
+import { createActivityLog, CLIENT_ACTIVITY_TYPES, excerpt } from './activityService.js';
+import { WEBHOOK_EVENTS, createWebhookDispatcher, createWebhookSecret, publicWebhook, isBlockedWebhookUrl } from './webhookService.js';
+import { mentionHandle, findMentionedUsers, createMentionActionItem } from './mentionService.js';
+import { hashPassword, verifyPassword, createSession, endSession, authenticateRequest, requireAuth, publicUser, MIN_PASSWORD_LENGTH } from './authService.js';
+import { interpretSearchQuery, rankDocuments, suggestTextImprovement, extractActionItems, areTasksSimilar, draftEmailFromTask, createCalendarEventFromTask, processAICommand, generateWordEdit, processEditCommand, streamAICommand, streamEditCommand, describeAISettings, listAIFailures, getAICacheStats, attachAIUsageMeter } from './aiService.js';
+import { withAICacheBypass } from './aiCache.js';
+import { createAIUsageMeter, withAIUsageContext } from './aiUsageService.js';
+import { AI_TASKS } from './aiConfig.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Browser origins allowed to call the API (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim());
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: ['ETag'] }));
 app.use(bodyParser.json());
+// Requests sent with "X-AI-Cache: bypass" get fresh AI answers instead of cached ones
+app.use((req, res, next) => {
+  if (req.get('X-AI-Cache') === 'bypass') {
+    return withAICacheBypass(next);
+  }
+  next();
+});
 
-// In-memory storage for documents (replace with database in production)
-let documents = [
-  {
-    id: '1',
-    title: 'Welcome Document',
-    content: '<h1>Welcome to DocEditor</h1><p>This is your first document. Start editing!</p>',
-    createdAt: new Date('2025-01-15').toISOString(),
-    updatedAt: new Date('2025-01-15').toISOString(),
-    comments: [],
-    tabs: {
-      summary: [],
-      definitions: [],
-      questions: [],
-      notes: [],
-      edits: [],
-      versions: []
-    },
-    customTabs: [],
-    metadata: {
-      topics: ['introduction', 'getting started'],
-      documentType: 'document',
-      summary: 'A welcome document for new users'
-    }
+// Persistent storage (see storage.js for drivers and migrations)
+const store = createStore();
+const documents = store.collection('documents');
+const actionItems = store.collection('actionItems');
+const versions = store.collection('versions');
+const folders = store.collection('folders');
+const users = store.collection('users');
+const sessions = store.collection('sessions');
+const notificationsCollection = store.collection('notifications');
+
+const notifications = createNotificationCenter({ notifications: notificationsCollection });
+const activityLog = createActivityLog({ activity: store.collection('activity') });
+const webhooks = store.collection('webhooks');
+const webhookDispatcher = createWebhookDispatcher({ webhooks, deliveries: store.collection('webhookDeliveries') });
+const aiUsageMeter = createAIUsageMeter({ aiUsage: store.collection('aiUsage') });
+attachAIUsageMeter(aiUsageMeter);
+
+// Edits arrive several times a second while typing, so document.updated waits for a pause
+const DOCUMENT_UPDATED_DELAY_MS = 5000;
+
+// Document fields sent in webhook events
+function documentEventData(doc) {
+  return {
+    id: doc.id,
+    title: doc.title,
+    ownerId: doc.ownerId,
+    folderId: doc.folderId,
+    revision: doc.revision,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+function emitDocumentUpdated(docId) {
+  webhookDispatcher.emitCoalesced(`document.updated:${docId}`, DOCUMENT_UPDATED_DELAY_MS, () => {
+    const doc = getActiveDocument(docId);
+    return doc && { event: 'document.updated', ownerId: doc.ownerId, data: documentEventData(doc) };
+  });
+}
+
+// Fields returned when listing documents (folders belong to the owner, so shared documents show at the root)
+function documentSummary(doc, user) {
+  const role = getDocumentRole(doc, user);
+  return {
+    id: doc.id,
+    title: doc.title,
+    folderId: role === 'owner' ? doc.folderId : null,
+    role,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    metadata: doc.metadata
+  };
+}
+
+// Documents carry a revision that goes up on every edit; clients echo it back in If-Match
+function revisionTag(doc) {
+  return `"${doc.revision}"`;
+}
+
+// A missing If-Match header skips the check so older clients keep working
+function matchesRevision(req, doc) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return true;
+  }
+  return ifMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === revisionTag(doc));
+}
+
+// Once a client has sent a Quill Delta it is the canonical content, and the HTML in
+// doc.content is only regenerated (and cached) when something needs to read it
+function renderDocument(doc) {
+  if (!doc.delta || doc.htmlRevision === doc.revision) {
+    return doc;
+  }
+
+  const rendered = { ...doc, content: deltaToHtml(doc.delta), htmlRevision: doc.revision };
+  // Don't cache HTML rendered from an outdated copy
+  if (documents.get(doc.id)?.revision === doc.revision) {
+    documents.update(doc.id, { content: rendered.content, htmlRevision: rendered.htmlRevision });
+  }
+  return rendered;
+}
+
+// Metadata (topics, type, summary) is refreshed in the background so saves don't wait on the AI
+const analysis = createAnalysisScheduler({
+  loadDocument: (docId) => {
+    const doc = getActiveDocument(docId);
+    return doc && renderDocument(doc);
   },
-  {
-    id: '2',
-    title: 'Meeting Notes',
-    content: '<h2>Team Meeting - Q1 2024</h2><ul><li>Discuss project goals</li><li>Review timeline</li></ul>',
-    createdAt: new Date('2024-12-02').toISOString(),
-    updatedAt: new Date('2024-12-02').toISOString(),
-    comments: [],
-    tabs: {
-      summary: [],
-      definitions: [],
-      questions: [],
-      notes: [],
-      edits: [],
-      versions: []
-    },
-    customTabs: [],
-    metadata: {
-      topics: ['meeting', 'planning', 'Q1'],
-      documentType: 'meeting_notes',
-      summary: 'Team meeting notes for Q1 planning'
+  saveAnalysis: (docId, metadata, hash) => {
+    if (getActiveDocument(docId)) {
+      documents.update(docId, { metadata, analysisHash: hash });
     }
-  },
-  {
-    id: '3',
-    title: 'Public Health Essay Draft',
-    content: '<h1>The Impact of Vaccination Programs on Public Health</h1><p>In this essay, I will examine the profound effects of vaccination programs on public health outcomes...</p><h2>Introduction</h2><p>Vaccination programs have been instrumental in reducing infectious diseases worldwide.</p>',
-    createdAt: new Date('2024-11-20').toISOString(),
-    updatedAt: new Date('2024-12-01').toISOString(),
-    comments: [],
-    tabs: {
-      summary: [],
-      definitions: [],
-      questions: [],
-      notes: [],
-      edits: [],
-      versions: []
-    },
-    customTabs: [],
-    metadata: {
-      topics: ['public health', 'vaccination', 'healthcare'],
-      documentType: 'essay',
-      summary: 'An essay about vaccination programs and public health'
+  }
+});
+
+// Whether a user may open a document (as its owner or through a share)
+function canAccessDocument(doc, user) {
+  return getDocumentRole(doc, user) !== null;
+}
+
+// Documents a user owns or has been shared, that are not in the trash
+function activeDocuments(user) {
+  return documents.filter(doc => !isTrashed(doc) && canAccessDocument(doc, user));
+}
+
+// A user's own documents in the trash
+function trashedDocuments(user) {
+  return documents.filter(doc => isTrashed(doc) && doc.ownerId === user.id);
+}
+
+// Looks up a document, treating trashed documents as missing
+function getActiveDocument(id) {
+  const doc = documents.get(id);
+  return doc && !isTrashed(doc) ? doc : null;
+}
+
+// Looks up a document for a user; documents they can't access are missing too
+function getUserDocument(user, id) {
+  const doc = getActiveDocument(id);
+  return doc && canAccessDocument(doc, user) ? doc : null;
+}
+
+function userFolders(user) {
+  return folders.filter(folder => folder.ownerId === user.id);
+}
+
+function getUserFolder(user, id) {
+  const folder = folders.get(id);
+  return folder && folder.ownerId === user.id ? folder : null;
+}
+
+// Records created before accounts existed go to the first account
+function claimUnownedRecords(userId) {
+  [documents, actionItems, folders].forEach(collection => {
+    collection.filter(record => !record.ownerId).forEach(record => {
+      collection.update(record.id, { ownerId: userId });
+    });
+  });
+}
+
+// Moves documents to the trash; purging them later removes their versions and action items
+function trashDocuments(docIds, user) {
+  const deletedAt = new Date().toISOString();
+  docIds.forEach(docId => {
+    const doc = documents.update(docId, { deletedAt, revision: documents.get(docId).revision + 1 });
+    activityLog.record(docId, user, 'trash');
+    collaboration.reset(docId);
+    webhookDispatcher.emit('document.deleted', doc.ownerId, { ...documentEventData(doc), deletedAt, permanent: false });
+  });
+}
+
+// Permanently deletes documents and everything stored alongside them
+function purgeDocuments(docIds) {
+  const ids = new Set(docIds);
+  documents.filter(doc => ids.has(doc.id)).forEach(doc => {
+    webhookDispatcher.emit('document.deleted', doc.ownerId, { ...documentEventData(doc), permanent: true });
+  });
+  documents.removeWhere(doc => ids.has(doc.id));
+  versions.removeWhere(v => ids.has(v.documentId));
+  actionItems.removeWhere(item => ids.has(item.documentId));
+  activityLog.removeForDocuments(docIds);
+}
+
+startTrashSweeper(() => {
+  const expired = findExpiredDocuments(documents.all());
+  purgeDocuments(expired.map(doc => doc.id));
+  return expired.length;
+});
+
+// Takes an automatic version snapshot when a save changed the document meaningfully
+function snapshotIfMeaningful(previousDoc, doc) {
+  let history = listVersions(versions.all(), doc.id);
+  let summaries = null;
+
+  // First save of a document without history: keep its pre-edit state as well
+  if (history.length === 0 && previousDoc.content) {
+    summaries = createSnapshot(versions, previousDoc);
+    history = listVersions(versions.all(), doc.id);
+  }
+
+  if (shouldSnapshot(history[0], doc)) {
+    summaries = createSnapshot(versions, doc);
+  }
+
+  if (!summaries) {
+    return doc;
+  }
+  return documents.update(doc.id, { tabs: { ...doc.tabs, versions: summaries } });
+}
+
+// Stores an edit made against the canonical Delta (incremental saves and live editing)
+function commitIncrementalEdit(existingDoc, { delta, title, tabs, customTabs, changedCharacters }, user) {
+  const contentChanged = delta !== existingDoc.delta;
+  const history = listVersions(versions.all(), existingDoc.id);
+  // Without any history, the pre-edit state is snapshotted too (see snapshotIfMeaningful)
+  const previousDoc = history.length === 0 ? renderDocument(existingDoc) : existingDoc;
+  const unversionedChanges = (existingDoc.unversionedChanges || 0) + changedCharacters;
+
+  let doc = documents.update(existingDoc.id, {
+    title: title || existingDoc.title,
+    delta,
+    tabs: tabs !== undefined ? { ...tabs, versions: existingDoc.tabs.versions } : existingDoc.tabs,
+    customTabs: customTabs !== undefined ? customTabs : existingDoc.customTabs,
+    unversionedChanges,
+    revision: existingDoc.revision + 1,
+    updatedAt: new Date().toISOString()
+  });
+  activityLog.recordEdit(existingDoc, doc, user);
+  emitDocumentUpdated(doc.id);
+
+  if (contentChanged || title) {
+    // HTML is only rendered for a snapshot once enough has changed
+    if (isSnapshotDue(history[0], unversionedChanges)) {
+      doc = snapshotIfMeaningful(previousDoc, renderDocument(doc));
+      doc = documents.update(doc.id, { unversionedChanges: 0 });
     }
-  },
-  {
-    id: '4',
-    title: 'response to sylvia plath',
-    content: `When I read The Bell Jar by Sylvia Plath, one quote — the quote that has stuck with me and probably everybody else who read it goes as follows:
+    analysis.schedule(doc.id);
+  }
 
-  <br>“I saw my life branching out before me like the green fig tree in the story. From the tip of every branch, like a fat purple fig, a wonderful future beckoned and winked. One fig was a husband and a happy home and children, and another fig was a famous poet and another fig was a brilliant professor, and another fig was Ee Gee, the amazing editor, and another fig was Europe and Africa and South America, and another fig was Constantin and Socrates and Attila and a pack of other lovers with queer names and offbeat professions, and another fig was an Olympic lady crew champion, and beyond and above these figs were many more figs I couldn't quite make out. I saw myself sitting in the crotch of this fig tree, starving to death, just because I couldn't make up my mind which of the figs I would choose. I wanted each and every one of them, but choosing one meant losing all the rest, and, as I sat there, unable to decide, the figs began to wrinkle and go black, and, one by one, they plopped to the ground at my feet.”
+  return doc;
+}
 
-  <br>My figs are not the same as hers, but they constantly grow outwards. A part of me wants to become a writer and finally finish writing that sci-fi book and spend the rest of my life writing poetry on the value & meaning & fragility of life; a part of me wants to go into the start-up world and make something of value that will change things in the world and if not the world then maybe for just one person; a part of me wants to become a quizzer and kill it on Jeopardy since Who Wants to be a Millionaire now only features … millionaires; a part of me wants to go into politics and make it on the Hill where I can claim to be a “just politician” and truly be one. But each one of these dreams are so big and require so much time and effort that doing each one of them is unfeasible.`,
-    createdAt: new Date('2025-01-25').toISOString(),
-    updatedAt: new Date('2025-01-25').toISOString(),
-    comments: [],
-    tabs: {
-      summary: [],
-      definitions: [],
-      questions: [],
-      notes: [],
-      edits: [],
-      versions: []
-    },
-    customTabs: [],
-    metadata: {
-      topics: ['slyvia path', 'substack', 'post'],
-      documentType: 'blog',
-      summary: 'A response to quote from slyvia path'
+// Live editing rooms; HTTP writes call collaboration.reset() so connected editors reload
+const collaboration = createCollaboration({
+  loadDocument: getActiveDocument,
+  commitChange: commitIncrementalEdit,
+  authenticate: (req) => authenticateRequest(req, { sessions, users }, { allowQueryToken: true }),
+  getRole: getDocumentRole
+});
+
+// Create an account (the first one also takes over documents created before accounts existed)
+app.post('/api/auth/register', async (req, res) => {
+  const { email: rawEmail = '', name: rawName = '', password = '' } = req.body;
+
+  if (typeof rawEmail !== 'string' || typeof rawName !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'email, name and password must be strings' });
+  }
+  const email = rawEmail.trim().toLowerCase();
+  const name = rawName.trim();
+
+  if (!email || !name || !password) {
+    return res.status(400).json({ error: 'Missing required fields: email, name and password' });
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (process.env.ALLOW_REGISTRATION === 'false' && users.all().length > 0) {
+    return res.status(403).json({ error: 'Registration is disabled' });
+  }
+
+  try {
+    const passwordHash = await hashPassword(password);
+    // Checked after hashing so two sign-ups with the same email can't both get through
+    if (users.find(user => user.email === email)) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const isFirstAccount = users.all().length === 0;
+    const user = users.insert({
+      id: crypto.randomUUID(),
+      email,
+      name,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    });
+    if (isFirstAccount) {
+      claimUnownedRecords(user.id);
     }
+
+    res.status(201).json({ token: createSession(sessions, user.id), user: publicUser(user) });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Log in with email and password
+app.post('/api/auth/login', async (req, res) => {
+  const { email = '', password = '' } = req.body;
+
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'email and password must be strings' });
+  }
+
+  try {
+    const user = users.find(u => u.email === email.trim().toLowerCase());
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({ token: createSession(sessions, user.id), user: publicUser(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
   }
-];
+});
+
+// The only routes browsers open without being able to set headers, so they may send ?access_token=
+const QUERY_TOKEN_ROUTES = [/^\/api\/notifications\/stream$/, /^\/api\/action-items\/[^/]+\/download-ics$/];
 
-// In-memory storage for action items
-let actionItems = [];
+// Every other API route needs a logged-in user
+app.use('/api', requireAuth({ sessions, users }, req => req.method === 'GET'
+  && QUERY_TOKEN_ROUTES.some(route => route.test(req.baseUrl + req.path))));
 
-// Get all documents
+// AI calls made while handling a document's routes count toward that document's usage
+app.use('/api/documents/:id', (req, res, next) => withAIUsageContext({ documentId: req.params.id }, next));
+
+// The logged-in user
+app.get('/api/auth/me', (req, res) => {
+  res.json(publicUser(req.user));
+});
+
+// End the current session
+app.post('/api/auth/logout', (req, res) => {
+  endSession(sessions, req.token);
+  res.status(204).send();
+});
+
+// Get all documents (?folderId=<id> or ?folderId=root lists a single folder)
 app.get('/api/documents', (req, res) => {
-  res.json(documents.map(doc => ({
-    id: doc.id,
-    title: doc.title,
-    createdAt: doc.createdAt,
-    updatedAt: doc.updatedAt,
-    metadata: doc.metadata
-  })));
+  let docs = activeDocuments(req.user);
+  if (req.query.folderId) {
+    const folderId = req.query.folderId === 'root' ? null : req.query.folderId;
+    docs = docs.filter(doc => documentSummary(doc, req.user).folderId === folderId);
+  }
+  res.json(docs.map(doc => documentSummary(doc, req.user)));
 });
 
 // Get a single document
 app.get('/api/documents/:id', (req, res) => {
-  const doc = documents.find(d => d.id === req.params.id);
+  const doc = getUserDocument(req.user, req.params.id);
   if (!doc) {
     return res.status(404).json({ error: 'Document not found' });
   }
-  res.json(doc);
+  // The ETag is the revision, so a cached copy could miss metadata and version updates
+  res.set('Cache-Control', 'no-store');
+  res.set('ETag', revisionTag(doc));
+  res.json({ ...renderDocument(doc), role: getDocumentRole(doc, req.user) });
 });
 
 // Create a new document
-app.post('/api/documents', async (req, res) => {
+app.post('/api/documents', (req, res) => {
+  const folderId = req.body.folderId || null;
+  if (folderId && !getUserFolder(req.user, folderId)) {
+    return res.status(400).json({ error: 'Folder not found' });
+  }
+  if (req.body.content !== undefined && typeof req.body.content !== 'string') {
+    return res.status(400).json({ error: 'content must be a string of HTML' });
+  }
+
   const newDoc = {
     id: Date.now().toString(),
+    ownerId: req.user.id,
     title: req.body.title || 'Untitled Document',
-    content: req.body.content || '',
+    content: sanitizeDocumentHtml(req.body.content),
+    delta: null,
+    folderId,
     comments: [],
     tabs: {
       summary: [],
@@ -148,6 +409,9 @@ app.post('/api/documents', async (req, res) => {
       versions: []
     },
     customTabs: [],
+    shares: [],
+    revision: 1,
+    deletedAt: null,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     metadata: {
@@ -157,90 +421,578 @@ app.post('/api/documents', async (req, res) => {
     }
   };
 
-  // Analyze content if available
-  if (newDoc.content && newDoc.content.length > 10) {
-    try {
-      const analysis = await analyzeDocumentContent(newDoc.title, newDoc.content);
-      newDoc.metadata = analysis;
-    } catch (error) {
-      console.error('Error analyzing document:', error);
-    }
+  documents.insert(newDoc);
+  activityLog.record(newDoc.id, req.user, 'create', { title: newDoc.title });
+  webhookDispatcher.emit('document.created', newDoc.ownerId, documentEventData(newDoc));
+  if (newDoc.content) {
+    analysis.schedule(newDoc.id);
   }
-
-  documents.push(newDoc);
   res.status(201).json(newDoc);
 });
 
+/**
+ * The tabs a save leaves behind ({ tabs, customTabs }, either may be missing from `body`).
+ * Authors come from the session, not from the client's copy, and a commenter's copy is
+ * merged into the stored tabs instead of replacing them.
+ */
+function tabChangesFor(existingDoc, body, user, role) {
+  if (role === 'commenter') {
+    return mergeCommenterTabs(existingDoc, body, user);
+  }
+  return attributeTabChanges(existingDoc, {
+    tabs: body.tabs !== undefined ? body.tabs : existingDoc.tabs,
+    customTabs: body.customTabs !== undefined ? body.customTabs : existingDoc.customTabs
+  }, user);
+}
+
 // Update a document
-app.put('/api/documents/:id', async (req, res) => {
-  const docIndex = documents.findIndex(d => d.id === req.params.id);
-  if (docIndex === -1) {
+app.put('/api/documents/:id', (req, res) => {
+  const existingDoc = getUserDocument(req.user, req.params.id);
+  if (!existingDoc) {
     return res.status(404).json({ error: 'Document not found' });
   }
 
-  documents[docIndex] = {
-    ...documents[docIndex],
-    title: req.body.title || documents[docIndex].title,
-    content: req.body.content !== undefined ? req.body.content : documents[docIndex].content,
-    comments: req.body.comments !== undefined ? req.body.comments : documents[docIndex].comments,
-    tabs: req.body.tabs !== undefined ? req.body.tabs : documents[docIndex].tabs,
-    customTabs: req.body.customTabs !== undefined ? req.body.customTabs : documents[docIndex].customTabs,
+  // Someone else saved since this client last loaded the document
+  if (!matchesRevision(req, existingDoc)) {
+    return res.status(409).json({ error: 'Document has been modified', document: renderDocument(existingDoc) });
+  }
+
+  // A full Delta replaces the canonical copy; plain HTML (from older clients) takes over from it
+  let contentChanges = {};
+  if (req.body.delta !== undefined) {
+    if (!isValidDeltaOps(req.body.delta, { insertOnly: true })) {
+      return res.status(400).json({ error: 'delta must be a Quill Delta made only of inserts' });
+    }
+    contentChanges = { delta: req.body.delta, htmlRevision: null, unversionedChanges: 0 };
+  } else if (req.body.content !== undefined) {
+    if (typeof req.body.content !== 'string') {
+      return res.status(400).json({ error: 'content must be a string of HTML' });
+    }
+    contentChanges = { content: sanitizeDocumentHtml(req.body.content), delta: null, unversionedChanges: 0 };
+  }
+  const contentChanged = Object.keys(contentChanges).length > 0;
+
+  const role = getDocumentRole(existingDoc, req.user);
+  if (!canMakeEdit(role, { ops: contentChanged ? null : [], title: Boolean(req.body.title) && req.body.title !== existingDoc.title })) {
+    return res.status(403).json({ error: role === 'commenter' ? 'Commenters can only change comments and highlights' : 'You have view-only access to this document' });
+  }
+
+  const previousDoc = renderDocument(existingDoc);
+  const attributed = tabChangesFor(existingDoc, req.body, req.user, role);
+  let doc = documents.update(existingDoc.id, {
+    title: req.body.title || existingDoc.title,
+    ...contentChanges,
+    comments: req.body.comments !== undefined && role !== 'commenter' ? req.body.comments : existingDoc.comments,
+    // The versions tab is owned by the server, so a client's copy never overwrites it
+    tabs: req.body.tabs !== undefined
+      ? { ...attributed.tabs, versions: existingDoc.tabs.versions }
+      : existingDoc.tabs,
+    customTabs: req.body.customTabs !== undefined ? attributed.customTabs : existingDoc.customTabs,
+    revision: existingDoc.revision + 1,
     updatedAt: new Date().toISOString()
-  };
+  });
+  activityLog.recordEdit(existingDoc, doc, req.user);
+  emitDocumentUpdated(doc.id);
+
+  doc = renderDocument(doc);
+  if (contentChanged || req.body.title) {
+    doc = snapshotIfMeaningful(previousDoc, doc);
+    analysis.schedule(doc.id);
+  }
+  collaboration.reset(doc.id);
 
-  // Re-analyze content if it was updated
-  if (req.body.content !== undefined && req.body.content.length > 10) {
-    try {
-      const analysis = await analyzeDocumentContent(
-        documents[docIndex].title,
-        documents[docIndex].content
-      );
-      documents[docIndex].metadata = analysis;
-    } catch (error) {
-      console.error('Error analyzing document:', error);
+  res.set('ETag', revisionTag(doc));
+  res.json(doc);
+});
+
+// Incremental save: Quill Delta ops against the canonical Delta, plus a title or tabs if they changed
+app.patch('/api/documents/:id', (req, res) => {
+  const existingDoc = getUserDocument(req.user, req.params.id);
+  if (!existingDoc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  if (!matchesRevision(req, existingDoc)) {
+    return res.status(409).json({ error: 'Document has been modified', document: renderDocument(existingDoc) });
+  }
+
+  const { ops = [], title, tabs, customTabs } = req.body;
+  if (!isValidDeltaOps(ops)) {
+    return res.status(400).json({ error: 'ops must be an array of Quill Delta operations' });
+  }
+
+  const role = getDocumentRole(existingDoc, req.user);
+  if (!canMakeEdit(role, { ops, title: Boolean(title) && title !== existingDoc.title })) {
+    return res.status(403).json({ error: role === 'commenter' ? 'Commenters can only change comments and highlights' : 'You have view-only access to this document' });
+  }
+
+  let delta = existingDoc.delta;
+  if (ops.length > 0) {
+    if (!existingDoc.delta) {
+      return res.status(400).json({ error: 'Document has no Delta yet; send the full delta with PUT first' });
+    }
+    delta = applyDeltaOps(existingDoc.delta, ops);
+    if (!delta) {
+      return res.status(409).json({ error: 'Operations do not match the document', document: renderDocument(existingDoc) });
     }
   }
 
-  res.json(documents[docIndex]);
+  const attributed = tabChangesFor(existingDoc, { tabs, customTabs }, req.user, role);
+  const doc = commitIncrementalEdit(existingDoc, {
+    delta,
+    title,
+    tabs: tabs !== undefined ? attributed.tabs : undefined,
+    customTabs: customTabs !== undefined ? attributed.customTabs : undefined,
+    changedCharacters: countDeltaChanges(ops)
+  }, req.user);
+  collaboration.reset(doc.id);
+
+  res.set('ETag', revisionTag(doc));
+  res.json({
+    id: doc.id,
+    revision: doc.revision,
+    updatedAt: doc.updatedAt,
+    versions: doc.tabs.versions
+  });
 });
 
-// Delete a document
+// Delete a document (moves it to the trash)
 app.delete('/api/documents/:id', (req, res) => {
-  const docIndex = documents.findIndex(d => d.id === req.params.id);
-  if (docIndex === -1) {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
     return res.status(404).json({ error: 'Document not found' });
   }
+  if (!hasRole(getDocumentRole(doc, req.user), 'owner')) {
+    return res.status(403).json({ error: 'Only the owner can delete this document' });
+  }
 
-  documents.splice(docIndex, 1);
+  trashDocuments([doc.id], req.user);
   res.status(204).send();
 });
 
-// AI-powered search
+// Move a document into a folder (null moves it to the root)
+app.patch('/api/documents/:id/move', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (!hasRole(getDocumentRole(doc, req.user), 'owner')) {
+    return res.status(403).json({ error: 'Only the owner can move this document' });
+  }
+
+  const folderId = req.body.folderId || null;
+  if (folderId && !getUserFolder(req.user, folderId)) {
+    return res.status(400).json({ error: 'Folder not found' });
+  }
+
+  res.json(documentSummary(documents.update(doc.id, { folderId }), req.user));
+});
+
+// List a document's versions, newest first
+app.get('/api/documents/:id/versions', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  res.json(listVersions(versions.all(), doc.id).map(versionSummary));
+});
+
+// Create a named checkpoint of the current document
+app.post('/api/documents/:id/versions', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (!hasRole(getDocumentRole(doc, req.user), 'editor')) {
+    return res.status(403).json({ error: 'Editor access required' });
+  }
+
+  if (req.body.name !== undefined && typeof req.body.name !== 'string') {
+    return res.status(400).json({ error: 'name must be a string' });
+  }
+  const name = (req.body.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Missing required field: name' });
+  }
+
+  const summaries = createSnapshot(versions, renderDocument(doc), { kind: 'checkpoint', name });
+  documents.update(doc.id, { tabs: { ...doc.tabs, versions: summaries } });
+  res.status(201).json(summaries[0]);
+});
+
+// Side-by-side HTML diff between two versions ('current' compares against the live document)
+app.get('/api/documents/:id/versions/compare', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  const resolveVersion = (versionId) => {
+    if (versionId === 'current') {
+      return { id: 'current', kind: 'current', name: 'Current document', title: doc.title, content: renderDocument(doc).content, createdAt: doc.updatedAt };
+    }
+    const version = versions.get(versionId);
+    return version && version.documentId === doc.id ? version : null;
+  };
+
+  const from = resolveVersion(req.query.from);
+  const to = resolveVersion(req.query.to);
+  if (!from || !to) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  const { left, right } = diffHtml(from.content, to.content);
+  res.json({
+    from: versionSummary(from),
+    to: versionSummary(to),
+    left,
+    right
+  });
+});
+
+// Get a single version, including its content
+app.get('/api/documents/:id/versions/:versionId', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  const version = versions.get(req.params.versionId);
+  if (!version || version.documentId !== doc.id) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  res.json(version);
+});
+
+// Restore a version (the current state is snapshotted first so the restore can be undone)
+app.post('/api/documents/:id/versions/:versionId/restore', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (!hasRole(getDocumentRole(doc, req.user), 'editor')) {
+    return res.status(403).json({ error: 'Editor access required' });
+  }
+
+  const version = versions.get(req.params.versionId);
+  if (!version || version.documentId !== doc.id) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  const summaries = createSnapshot(versions, renderDocument(doc), { kind: 'restore', name: 'Before restore' });
+  // Versions are stored as HTML, so the restored HTML is canonical until a client sends a new Delta.
+  // Snapshots taken before content was sanitized may still hold unsafe HTML.
+  const restoredDoc = documents.update(doc.id, {
+    title: version.title,
+    content: sanitizeDocumentHtml(version.content),
+    delta: null,
+    tabs: { ...doc.tabs, versions: summaries },
+    revision: doc.revision + 1,
+    updatedAt: new Date().toISOString()
+  });
+
+  activityLog.record(doc.id, req.user, 'restore', { versionId: version.id, name: version.name || null, createdAt: version.createdAt });
+  emitDocumentUpdated(doc.id);
+  analysis.schedule(doc.id);
+  collaboration.reset(doc.id);
+  res.set('ETag', revisionTag(restoredDoc));
+  res.json(restoredDoc);
+});
+
+// Activity log, newest first (?before=<ISO date> pages back, ?limit= up to 200)
+app.get('/api/documents/:id/activity', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json(activityLog.list(doc.id, { before: req.query.before || null, limit }));
+});
+
+// Log something the editor did that the server only sees as a text change, such as
+// applying a suggested edit ({ type, text, highlightedText, ai, actionItemId })
+app.post('/api/documents/:id/activity', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (!hasRole(getDocumentRole(doc, req.user), 'editor')) {
+    return res.status(403).json({ error: 'Editor access required' });
+  }
+
+  const { type, text, highlightedText, ai, actionItemId } = req.body;
+  if (!CLIENT_ACTIVITY_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${CLIENT_ACTIVITY_TYPES.join(', ')}` });
+  }
+
+  const entry = activityLog.record(doc.id, req.user, type, {
+    text: excerpt(text),
+    highlightedText: excerpt(highlightedText),
+    // Word edits are always written by the AI
+    ai: type === 'word-edit-accepted' || Boolean(ai)
+  });
+  if (type === 'word-edit-accepted') {
+    webhookDispatcher.emit('wordEdit.applied', doc.ownerId, {
+      documentId: doc.id,
+      documentTitle: doc.title,
+      actionItemId: actionItemId || null,
+      targetText: highlightedText || '',
+      suggestedEdit: text || '',
+      appliedBy: { id: req.user.id, name: req.user.name }
+    });
+  }
+  res.status(201).json(entry);
+});
+
+// People a document is shared with (the owner first)
+function shareList(doc) {
+  const owner = users.get(doc.ownerId);
+  const shared = (doc.shares || [])
+    .map(share => {
+      const user = users.get(share.userId);
+      return user && { ...publicUser(user), role: share.role, sharedAt: share.sharedAt };
+    })
+    .filter(Boolean);
+  return owner ? [{ ...publicUser(owner), role: 'owner' }, ...shared] : shared;
+}
+
+// List who has access to a document
+app.get('/api/documents/:id/shares', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  res.json(shareList(doc));
+});
+
+// Share a document with another account by email, or change their role ({ email, role })
+app.post('/api/documents/:id/shares', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (doc.ownerId !== req.user.id) {
+    return res.status(403).json({ error: 'Only the owner can share this document' });
+  }
+
+  const { role } = req.body;
+  if (!SHARE_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${SHARE_ROLES.join(', ')}` });
+  }
+  if (req.body.email !== undefined && typeof req.body.email !== 'string') {
+    return res.status(400).json({ error: 'email must be a string' });
+  }
+  const email = (req.body.email || '').trim().toLowerCase();
+  const user = users.find(u => u.email === email);
+  if (!user) {
+    return res.status(404).json({ error: 'No account with that email' });
+  }
+  if (user.id === doc.ownerId) {
+    return res.status(400).json({ error: 'The owner already has full access' });
+  }
+
+  const existing = (doc.shares || []).find(share => share.userId === user.id);
+  const shares = existing
+    ? doc.shares.map(share => (share.userId === user.id ? { ...share, role } : share))
+    : [...(doc.shares || []), { userId: user.id, role, sharedAt: new Date().toISOString() }];
+  const updated = documents.update(doc.id, { shares });
+  // Open editors pick up the new role when they reconnect
+  collaboration.reset(doc.id);
+
+  if (!existing || existing.role !== role) {
+    notifications.notify(user.id, {
+      type: 'share',
+      title: existing
+        ? `${req.user.name} made you ${role === 'editor' ? 'an' : 'a'} ${role} on "${doc.title}"`
+        : `${req.user.name} shared "${doc.title}" with you`,
+      documentId: doc.id
+    });
+  }
+
+  res.status(existing ? 200 : 201).json(shareList(updated));
+});
+
+// Stop sharing a document with someone (people can also remove themselves)
+app.delete('/api/documents/:id/shares/:userId', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (doc.ownerId !== req.user.id && req.params.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Only the owner can change who has access' });
+  }
+  if (!(doc.shares || []).some(share => share.userId === req.params.userId)) {
+    return res.status(404).json({ error: 'Share not found' });
+  }
+
+  const updated = documents.update(doc.id, {
+    shares: doc.shares.filter(share => share.userId !== req.params.userId)
+  });
+  collaboration.reset(doc.id);
+
+  res.json(shareList(updated));
+});
+
+// Newest notifications first, with the unread count
+app.get('/api/notifications', (req, res) => {
+  res.json({
+    notifications: notifications.list(req.user.id),
+    unreadCount: notifications.unreadCount(req.user.id)
+  });
+});
+
+// Server-Sent Events: 'ready' with the unread count, then 'notification' and 'read' as they happen.
+// EventSource can't set headers, so the token goes in ?access_token.
+app.get('/api/notifications/stream', (req, res) => {
+  notifications.subscribe(req.user.id, req, res);
+});
+
+// Mark notifications read ({ ids }, or every notification without ids)
+app.post('/api/notifications/read', (req, res) => {
+  const { ids } = req.body;
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array of notification IDs' });
+  }
+
+  notifications.markRead(req.user.id, ids);
+  res.json({ unreadCount: notifications.unreadCount(req.user.id) });
+});
+
+// Resolves :webhookId to req.webhook (only the owner's webhooks are visible)
+app.param('webhookId', (req, res, next, webhookId) => {
+  const webhook = webhooks.get(webhookId);
+  if (!webhook || webhook.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  req.webhook = webhook;
+  next();
+});
+
+// Checks { url, events } from a create or update request; returns an error message or null
+function validateWebhook({ url, events }, partial = false) {
+  if (!partial || url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an http or https URL';
+    }
+    if (isBlockedWebhookUrl(parsed)) {
+      return 'url must not point to this server or a private network (see WEBHOOK_ALLOWED_HOSTS)';
+    }
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// List your webhooks
+app.get('/api/webhooks', (req, res) => {
+  res.json(webhooks.filter(webhook => webhook.ownerId === req.user.id).map(publicWebhook));
+});
+
+// Subscribe a URL to events ({ url, events, description }). The signing secret is only returned here.
+app.post('/api/webhooks', (req, res) => {
+  const error = validateWebhook(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const webhook = webhooks.insert({
+    id: crypto.randomUUID(),
+    ownerId: req.user.id,
+    url: req.body.url,
+    events: [...new Set(req.body.events)],
+    description: req.body.description || '',
+    secret: createWebhookSecret(),
+    active: true,
+    createdAt: new Date().toISOString()
+  });
+  res.status(201).json(webhook);
+});
+
+// Change a webhook ({ url, events, description, active }); { rotateSecret: true } returns a new secret
+app.patch('/api/webhooks/:webhookId', (req, res) => {
+  const error = validateWebhook(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { url, events, description, active, rotateSecret } = req.body;
+  const webhook = webhooks.update(req.webhook.id, {
+    ...(url !== undefined && { url }),
+    ...(events !== undefined && { events: [...new Set(events)] }),
+    ...(description !== undefined && { description }),
+    ...(active !== undefined && { active: Boolean(active) }),
+    ...(rotateSecret && { secret: createWebhookSecret() })
+  });
+  res.json(rotateSecret ? webhook : publicWebhook(webhook));
+});
+
+// Delete a webhook and its delivery log
+app.delete('/api/webhooks/:webhookId', (req, res) => {
+  webhookDispatcher.removeWebhook(req.webhook.id);
+  res.status(204).send();
+});
+
+// Delivery log, newest first, with every attempt's status code or error
+app.get('/api/webhooks/:webhookId/deliveries', (req, res) => {
+  res.json(webhookDispatcher.listDeliveries(req.webhook.id));
+});
+
+// Send a 'ping' event to check the receiver and its signature verification
+app.post('/api/webhooks/:webhookId/test', (req, res) => {
+  res.status(202).json(webhookDispatcher.ping(req.webhook));
+});
+
+// Everyone in the workspace, for @mention suggestions
+app.get('/api/users', (req, res) => {
+  res.json(users.all().map(user => ({ ...publicUser(user), handle: mentionHandle(user) })));
+});
+
+// AI-powered search (optionally scoped to a folder and its subfolders)
 app.post('/api/search', async (req, res) => {
-  const { query } = req.body;
+  const { query, folderId } = req.body;
 
+  if (query !== undefined && query !== null && typeof query !== 'string') {
+    return res.status(400).json({ error: 'query must be a string' });
+  }
+  if (folderId !== undefined && folderId !== null && typeof folderId !== 'string') {
+    return res.status(400).json({ error: 'folderId must be a string' });
+  }
   if (!query || query.trim().length === 0) {
     return res.json({ documents: [], interpretation: null });
   }
 
+  let candidates = activeDocuments(req.user);
+  if (folderId) {
+    const folderIds = getSubtreeFolderIds(userFolders(req.user), folderId);
+    candidates = candidates.filter(doc => folderIds.has(documentSummary(doc, req.user).folderId));
+  }
+  candidates = candidates.map(renderDocument);
+
   try {
     // Step 1: Interpret the search query
-    const interpretation = await interpretSearchQuery(query, documents);
+    const interpretation = await interpretSearchQuery(query, candidates);
 
     // Step 2: Rank documents based on interpretation
-    const rankedIds = await rankDocuments(interpretation, documents);
+    const rankedIds = await rankDocuments(interpretation, candidates);
 
     // Step 3: Return ranked documents
     const rankedDocuments = rankedIds
-      .map(id => documents.find(d => d.id === id))
+      .map(id => candidates.find(doc => doc.id === id))
       .filter(doc => doc !== undefined)
-      .map(doc => ({
-        id: doc.id,
-        title: doc.title,
-        createdAt: doc.createdAt,
-        updatedAt: doc.updatedAt,
-        metadata: doc.metadata
-      }));
+      .map(doc => documentSummary(doc, req.user));
 
     res.json({
       documents: rankedDocuments,
@@ -252,15 +1004,155 @@ app.post('/api/search', async (req, res) => {
   }
 });
 
+// List the trash, most recently deleted first
+app.get('/api/trash', (req, res) => {
+  const trashed = trashedDocuments(req.user)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    .map(doc => ({
+      ...documentSummary(doc, req.user),
+      deletedAt: doc.deletedAt,
+      purgeAt: getPurgeDate(doc).toISOString()
+    }));
+  res.json(trashed);
+});
+
+// Restore a document from the trash
+app.post('/api/trash/:id/restore', (req, res) => {
+  const doc = documents.get(req.params.id);
+  if (!doc || !isTrashed(doc) || doc.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Document not found in trash' });
+  }
+
+  // If its folder was deleted in the meantime, restore to the root
+  const folderId = doc.folderId && getUserFolder(req.user, doc.folderId) ? doc.folderId : null;
+  const restored = documents.update(doc.id, { deletedAt: null, folderId, revision: doc.revision + 1 });
+  activityLog.record(doc.id, req.user, 'untrash');
+  collaboration.reset(doc.id);
+  webhookDispatcher.emit('document.restored', restored.ownerId, documentEventData(restored));
+  res.json(documentSummary(restored, req.user));
+});
+
+// Permanently delete a document from the trash
+app.delete('/api/trash/:id', (req, res) => {
+  const doc = documents.get(req.params.id);
+  if (!doc || !isTrashed(doc) || doc.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Document not found in trash' });
+  }
+
+  purgeDocuments([doc.id]);
+  res.status(204).send();
+});
+
+// Empty the trash
+app.delete('/api/trash', (req, res) => {
+  purgeDocuments(trashedDocuments(req.user).map(doc => doc.id));
+  res.status(204).send();
+});
+
+// Get all folders (the client builds the tree from parentId)
+app.get('/api/folders', (req, res) => {
+  res.json(userFolders(req.user));
+});
+
+// Get a single folder with its breadcrumb path
+app.get('/api/folders/:id', (req, res) => {
+  const folder = getUserFolder(req.user, req.params.id);
+  if (!folder) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+  res.json({ ...folder, path: getFolderPath(userFolders(req.user), folder.id) });
+});
+
+// Create a folder
+app.post('/api/folders', (req, res) => {
+  if (req.body.name !== undefined && typeof req.body.name !== 'string') {
+    return res.status(400).json({ error: 'name must be a string' });
+  }
+  const name = (req.body.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Missing required field: name' });
+  }
+
+  const parentId = req.body.parentId || null;
+  if (parentId && !getUserFolder(req.user, parentId)) {
+    return res.status(400).json({ error: 'Parent folder not found' });
+  }
+
+  const folder = folders.insert({
+    id: crypto.randomUUID(),
+    ownerId: req.user.id,
+    name,
+    parentId,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+  res.status(201).json(folder);
+});
+
+// Rename and/or move a folder
+app.patch('/api/folders/:id', (req, res) => {
+  const folder = getUserFolder(req.user, req.params.id);
+  if (!folder) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+
+  const changes = { updatedAt: new Date().toISOString() };
+
+  if (req.body.name !== undefined) {
+    if (typeof req.body.name !== 'string') {
+      return res.status(400).json({ error: 'name must be a string' });
+    }
+    const name = req.body.name.trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Folder name cannot be empty' });
+    }
+    changes.name = name;
+  }
+
+  if (req.body.parentId !== undefined) {
+    const parentId = req.body.parentId || null;
+    if (parentId && !getUserFolder(req.user, parentId)) {
+      return res.status(400).json({ error: 'Parent folder not found' });
+    }
+    if (wouldCreateCycle(userFolders(req.user), folder.id, parentId)) {
+      return res.status(400).json({ error: 'Cannot move a folder into itself or one of its subfolders' });
+    }
+    changes.parentId = parentId;
+  }
+
+  res.json(folders.update(folder.id, changes));
+});
+
+// Delete a folder (?recursive=true also moves everything inside it to the trash)
+app.delete('/api/folders/:id', (req, res) => {
+  const folder = getUserFolder(req.user, req.params.id);
+  if (!folder) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+
+  const folderIds = getSubtreeFolderIds(userFolders(req.user), folder.id);
+  const docIds = activeDocuments(req.user)
+    .filter(doc => doc.ownerId === req.user.id && folderIds.has(doc.folderId))
+    .map(doc => doc.id);
+
+  if ((folderIds.size > 1 || docIds.length > 0) && req.query.recursive !== 'true') {
+    return res.status(409).json({ error: 'Folder is not empty' });
+  }
+
+  trashDocuments(docIds, req.user);
+  folders.removeWhere(f => folderIds.has(f.id));
+  res.status(204).send();
+});
+
 // Extract action items from a document
 app.post('/api/documents/:id/extract-actions', async (req, res) => {
-  const doc = documents.find(d => d.id === req.params.id);
+  const doc = getUserDocument(req.user, req.params.id);
   if (!doc) {
     return res.status(404).json({ error: 'Document not found' });
   }
 
   try {
-    const newActionItems = await extractActionItems(doc.id, doc.title, doc.content);
+    const newActionItems = await extractActionItems(doc.id, doc.title, renderDocument(doc).content);
 
     // Remove duplicates using AI-based similarity detection
     const uniqueNewItems = [];
@@ -268,7 +1160,7 @@ app.post('/api/documents/:id/extract-actions', async (req, res) => {
       let isDuplicate = false;
 
       // Check similarity against existing action items from the same document
-      for (const existingItem of actionItems) {
+      for (const existingItem of actionItems.all()) {
         if (existingItem.documentId === newItem.documentId) {
           const isSimilar = await areTasksSimilar(newItem, existingItem);
           if (isSimilar) {
@@ -284,13 +1176,21 @@ app.post('/api/documents/:id/extract-actions', async (req, res) => {
       }
     }
 
-    // Add unique items to the action items list
-    actionItems.push(...uniqueNewItems);
+    // Add unique items to the action items list, each with a stable ID
+    const addedItems = uniqueNewItems.map(item => actionItems.insert({ id: crypto.randomUUID(), ownerId: req.user.id, ...item }));
+    addedItems.forEach(item => webhookDispatcher.emit('actionItem.created', item.ownerId, item));
+    if (addedItems.length > 0) {
+      notifications.notify(req.user.id, {
+        type: 'action-items',
+        title: `${addedItems.length} action item${addedItems.length === 1 ? '' : 's'} found in "${doc.title}"`,
+        documentId: doc.id
+      });
+    }
 
     res.json({
       extractedCount: newActionItems.length,
-      addedCount: uniqueNewItems.length,
-      actionItems: uniqueNewItems
+      addedCount: addedItems.length,
+      actionItems: addedItems
     });
   } catch (error) {
     console.error('Error extracting action items:', error);
@@ -298,42 +1198,100 @@ app.post('/api/documents/:id/extract-actions', async (req, res) => {
   }
 });
 
-// Get all action items
-app.get('/api/action-items', (_req, res) => {
-  res.json(actionItems);
+// Assign a comment to everyone it @mentions, as action items linked back to the comment
+// ({ tabId, itemId, text, highlightedText, position, length })
+app.post('/api/documents/:id/mentions', (req, res) => {
+  const doc = getUserDocument(req.user, req.params.id);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (!hasRole(getDocumentRole(doc, req.user), 'commenter')) {
+    return res.status(403).json({ error: 'You have view-only access to this document' });
+  }
+
+  const { tabId, itemId, text } = req.body;
+  if (!tabId || !itemId || typeof text !== 'string') {
+    return res.status(400).json({ error: 'tabId, itemId and text are required' });
+  }
+
+  const mentioned = findMentionedUsers(text, users.all()).filter(user => user.id !== req.user.id);
+  // People without access to the document couldn't open the linked comment
+  const assignees = mentioned.filter(user => getDocumentRole(doc, user));
+  const skipped = mentioned.filter(user => !getDocumentRole(doc, user));
+
+  // Resending the same comment doesn't assign it twice (item ids are only unique within a document)
+  const added = assignees
+    .filter(user => !actionItems.find(item => item.ownerId === user.id
+      && item.documentId === doc.id && item.source?.type === 'mention' && item.source.itemId === itemId))
+    .map(user => actionItems.insert({
+      id: crypto.randomUUID(),
+      ...createMentionActionItem(doc, req.body, user, req.user)
+    }));
+
+  added.forEach(item => {
+    webhookDispatcher.emit('actionItem.created', item.ownerId, item);
+    notifications.notify(item.ownerId, {
+      type: 'mention',
+      title: `${req.user.name} mentioned you in "${doc.title}"`,
+      documentId: doc.id,
+      itemId,
+      actionItemId: item.id
+    });
+  });
+
+  res.status(added.length > 0 ? 201 : 200).json({
+    actionItems: added,
+    skipped: skipped.map(publicUser)
+  });
 });
 
-// Delete an action item
-app.delete('/api/action-items/:index', (req, res) => {
-  const index = parseInt(req.params.index);
-  if (index < 0 || index >= actionItems.length) {
+// Resolves :itemId to req.actionItem. Numeric array positions are still accepted
+// for older clients, but they break as soon as another item is removed.
+app.param('itemId', (req, res, next, itemId) => {
+  let actionItem = actionItems.get(itemId);
+
+  if (!actionItem && /^\d+$/.test(itemId)) {
+    actionItem = actionItems.at(parseInt(itemId));
+    if (actionItem) {
+      console.warn(`Deprecated index-based action item route used: ${req.method} ${req.originalUrl}`);
+      res.setHeader('Deprecation', 'true');
+    }
+  }
+
+  if (!actionItem || actionItem.ownerId !== req.user.id) {
     return res.status(404).json({ error: 'Action item not found' });
   }
 
-  actionItems.splice(index, 1);
+  req.actionItem = actionItem;
+  // AI work on an action item counts toward its document's usage
+  withAIUsageContext({ documentId: actionItem.documentId }, next);
+});
+
+// Get all action items (items of trashed documents are hidden)
+app.get('/api/action-items', (req, res) => {
+  const trashedIds = new Set(documents.filter(isTrashed).map(doc => doc.id));
+  res.json(actionItems.filter(item => item.ownerId === req.user.id && !trashedIds.has(item.documentId)));
+});
+
+// Delete an action item
+app.delete('/api/action-items/:itemId', (req, res) => {
+  actionItems.remove(req.actionItem.id);
   res.status(204).send();
 });
 
 // Mark action item as complete
-app.patch('/api/action-items/:index/complete', (req, res) => {
-  const index = parseInt(req.params.index);
-  if (index < 0 || index >= actionItems.length) {
-    return res.status(404).json({ error: 'Action item not found' });
-  }
-
-  actionItems[index].completed = true;
-  actionItems[index].completedAt = new Date().toISOString();
-  res.json(actionItems[index]);
+app.patch('/api/action-items/:itemId/complete', (req, res) => {
+  const actionItem = actionItems.update(req.actionItem.id, {
+    completed: true,
+    completedAt: new Date().toISOString()
+  });
+  webhookDispatcher.emit('actionItem.completed', actionItem.ownerId, actionItem);
+  res.json(actionItem);
 });
 
 // Draft email from action item
-app.post('/api/action-items/:index/draft-email', async (req, res) => {
-  const index = parseInt(req.params.index);
-  if (index < 0 || index >= actionItems.length) {
-    return res.status(404).json({ error: 'Action item not found' });
-  }
-
-  const actionItem = actionItems[index];
+app.post('/api/action-items/:itemId/draft-email', async (req, res) => {
+  const { actionItem } = req;
   
   if (!actionItem.isEmailTask) {
     return res.status(400).json({ error: 'This action item is not an email task' });
@@ -341,22 +1299,19 @@ app.post('/api/action-items/:index/draft-email', async (req, res) => {
 
   try {
     // Get the source document for context
-    const sourceDoc = documents.find(d => d.id === actionItem.documentId);
-    const documentContext = sourceDoc ? sourceDoc.content : '';
+    const sourceDoc = documents.get(actionItem.documentId);
+    const documentContext = sourceDoc ? renderDocument(sourceDoc).content : '';
 
     // Draft the email
     const emailDraft = await draftEmailFromTask(actionItem, documentContext);
 
     // Store the draft in the action item (preserve all original fields)
-    actionItems[index] = {
-      ...actionItems[index],
-      emailDraft
-    };
+    const updatedItem = actionItems.update(actionItem.id, { emailDraft });
 
     res.json({
       success: true,
       emailDraft,
-      actionItem: actionItems[index]
+      actionItem: updatedItem
     });
   } catch (error) {
     console.error('Error drafting email:', error);
@@ -365,13 +1320,8 @@ app.post('/api/action-items/:index/draft-email', async (req, res) => {
 });
 
 // Create calendar event from action item
-app.post('/api/action-items/:index/create-calendar-event', async (req, res) => {
-  const index = parseInt(req.params.index);
-  if (index < 0 || index >= actionItems.length) {
-    return res.status(404).json({ error: 'Action item not found' });
-  }
-
-  const actionItem = actionItems[index];
+app.post('/api/action-items/:itemId/create-calendar-event', async (req, res) => {
+  const { actionItem } = req;
   
   if (!actionItem.isCalendarTask) {
     return res.status(400).json({ error: 'This action item is not a calendar task' });
@@ -379,22 +1329,19 @@ app.post('/api/action-items/:index/create-calendar-event', async (req, res) => {
 
   try {
     // Get the source document for context
-    const sourceDoc = documents.find(d => d.id === actionItem.documentId);
-    const documentContext = sourceDoc ? sourceDoc.content : '';
+    const sourceDoc = documents.get(actionItem.documentId);
+    const documentContext = sourceDoc ? renderDocument(sourceDoc).content : '';
 
     // Create the calendar event
     const calendarEvent = await createCalendarEventFromTask(actionItem, documentContext);
 
     // Store the event in the action item (preserve all original fields)
-    actionItems[index] = {
-      ...actionItems[index],
-      calendarEvent
-    };
+    const updatedItem = actionItems.update(actionItem.id, { calendarEvent });
 
     res.json({
       success: true,
       calendarEvent,
-      actionItem: actionItems[index]
+      actionItem: updatedItem
     });
   } catch (error) {
     console.error('Error creating calendar event:', error);
@@ -403,13 +1350,8 @@ app.post('/api/action-items/:index/create-calendar-event', async (req, res) => {
 });
 
 // Download ICS file for calendar event
-app.get('/api/action-items/:index/download-ics', (req, res) => {
-  const index = parseInt(req.params.index);
-  if (index < 0 || index >= actionItems.length) {
-    return res.status(404).json({ error: 'Action item not found' });
-  }
-
-  const actionItem = actionItems[index];
+app.get('/api/action-items/:itemId/download-ics', (req, res) => {
+  const { actionItem } = req;
 
   if (!actionItem.calendarEvent || !actionItem.calendarEvent.icsContent) {
     return res.status(400).json({ error: 'No calendar event found for this action item' });
@@ -424,13 +1366,8 @@ app.get('/api/action-items/:index/download-ics', (req, res) => {
 });
 
 // Generate word edit from action item
-app.post('/api/action-items/:index/generate-word-edit', async (req, res) => {
-  const index = parseInt(req.params.index);
-  if (index < 0 || index >= actionItems.length) {
-    return res.status(404).json({ error: 'Action item not found' });
-  }
-
-  const actionItem = actionItems[index];
+app.post('/api/action-items/:itemId/generate-word-edit', async (req, res) => {
+  const { actionItem } = req;
   
   if (!actionItem.isWordEditTask) {
     return res.status(400).json({ error: 'This action item is not a word edit task' });
@@ -438,22 +1375,25 @@ app.post('/api/action-items/:index/generate-word-edit', async (req, res) => {
 
   try {
     // Get the source document for context
-    const sourceDoc = documents.find(d => d.id === actionItem.documentId);
-    const documentContext = sourceDoc ? sourceDoc.content : '';
+    const sourceDoc = documents.get(actionItem.documentId);
+    const documentContext = sourceDoc ? renderDocument(sourceDoc).content : '';
 
     // Generate the word edit
     const wordEdit = await generateWordEdit(actionItem, documentContext);
 
     // Store the edit in the action item (preserve all original fields)
-    actionItems[index] = {
-      ...actionItems[index],
-      wordEdit
-    };
+    const updatedItem = actionItems.update(actionItem.id, { wordEdit });
+    notifications.notify(req.user.id, {
+      type: 'ai-edit',
+      title: `Suggested edit ready: ${actionItem.description}`,
+      documentId: actionItem.documentId,
+      actionItemId: actionItem.id
+    });
 
     res.json({
       success: true,
       wordEdit,
-      actionItem: actionItems[index]
+      actionItem: updatedItem
     });
   } catch (error) {
     console.error('Error generating word edit:', error);
@@ -461,6 +1401,14 @@ app.post('/api/action-items/:index/generate-word-edit', async (req, res) => {
   }
 });
 
+// The document an AI request is charged to. A documentId the user can't open is ignored,
+// so nobody can run up usage on someone else's document.
+function aiUsageContext(req) {
+  const { documentId } = req.body;
+  const doc = typeof documentId === 'string' ? getUserDocument(req.user, documentId) : null;
+  return { documentId: doc ? doc.id : null };
+}
+
 // Process AI command for highlighted text
 app.post('/api/ai/process-command', async (req, res) => {
   const { highlightedText, tabType, customPrompt } = req.body;
@@ -470,7 +1418,7 @@ app.post('/api/ai/process-command', async (req, res) => {
   }
 
   try {
-    const aiResponse = await processAICommand(highlightedText, tabType, customPrompt || '');
+    const aiResponse = await withAIUsageContext(aiUsageContext(req), () => processAICommand(highlightedText, tabType, customPrompt || ''));
     res.json({ response: aiResponse });
   } catch (error) {
     console.error('Error processing AI command:', error);
@@ -487,7 +1435,7 @@ app.post('/api/ai/process-edit', async (req, res) => {
   }
 
   try {
-    const result = await processEditCommand(originalText, editInstruction);
+    const result = await withAIUsageContext(aiUsageContext(req), () => processEditCommand(originalText, editInstruction));
     res.json(result);
   } catch (error) {
     console.error('Error processing edit command:', error);
@@ -495,9 +1443,90 @@ app.post('/api/ai/process-edit', async (req, res) => {
   }
 });
 
+/**
+ * Sends the events from an AI stream (streamAICommand, streamEditCommand) as Server-Sent
+ * Events. Closing the connection aborts the AI request.
+ * @param {Function} startStream - Takes an AbortSignal and returns the event generator
+ */
+async function sendAIStream(req, res, startStream) {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  try {
+    for await (const { type, ...data } of startStream(controller.signal)) {
+      if (controller.signal.aborted) break;
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Error streaming AI response:', error);
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to process AI command' })}\n\n`);
+    }
+  }
+  res.end();
+}
+
+// Stream the AI command response for highlighted text token by token
+app.post('/api/ai/process-command/stream', (req, res) => {
+  const { highlightedText, tabType, customPrompt } = req.body;
+
+  if (!highlightedText || !tabType) {
+    return res.status(400).json({ error: 'Missing required fields: highlightedText and tabType' });
+  }
+
+  withAIUsageContext(aiUsageContext(req), () => sendAIStream(req, res, signal => streamAICommand(highlightedText, tabType, customPrompt || '', { signal })));
+});
+
+// Stream an edit of highlighted text; the final 'done' event carries the checked result
+app.post('/api/ai/process-edit/stream', (req, res) => {
+  const { originalText, editInstruction } = req.body;
+
+  if (!originalText || !editInstruction) {
+    return res.status(400).json({ error: 'Missing required fields: originalText and editInstruction' });
+  }
+
+  withAIUsageContext(aiUsageContext(req), () => sendAIStream(req, res, signal => streamEditCommand(originalText, editInstruction, { signal })));
+});
+
+// AI settings each task runs with (read-only; edit backend/ai.config.json to change them)
+app.get('/api/settings/ai', (req, res) => {
+  res.json(describeAISettings());
+});
+
+// AI responses that failed schema validation, newest first
+app.get('/api/ai/failures', (req, res) => {
+  res.json(listAIFailures());
+});
+
+// AI calls, tokens, latency and estimated cost over the last ?days= days (default 7)
+app.get('/api/ai/usage', (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+  const report = aiUsageMeter.report({
+    days,
+    tasks: AI_TASKS,
+    // Usage is charged to documents, so each caller sees only the documents they can open
+    canSeeDocument: id => Boolean(getUserDocument(req.user, id))
+  });
+  report.byDocument = Object.fromEntries(Object.entries(report.byDocument)
+    .map(([id, totals]) => [id, { title: getUserDocument(req.user, id).title, ...totals }]));
+  res.json(report);
+});
+
+// AI response cache hit counts and size
+app.get('/api/ai/cache', (req, res) => {
+  res.json(getAICacheStats() || { enabled: false });
+});
+
 // For Vercel serverless deployment
 export default app;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+collaboration.attach(server);
@@ -0,0 +1,39 @@
+// Roles a document can be shared with, from least to most access. The owner outranks them all.
+export const SHARE_ROLES = ['viewer', 'commenter', 'editor'];
+const ROLE_RANK = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+/**
+ * A user's role on a document: 'owner', one of SHARE_ROLES, or null without access
+ */
+export function getDocumentRole(doc, user) {
+  if (doc.ownerId === user.id) {
+    return 'owner';
+  }
+  const share = (doc.shares || []).find(s => s.userId === user.id);
+  return share ? share.role : null;
+}
+
+/**
+ * Whether a role grants at least the access of `required`
+ */
+export function hasRole(role, required) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+// Highlights are background formatting, which commenters may add and remove
+function isHighlightOnly(ops) {
+  return ops.every(op => op.retain !== undefined
+    && Object.keys(op.attributes || {}).every(name => name === 'background'));
+}
+
+/**
+ * Whether a role may make an edit. Editors and owners may change anything; commenters may
+ * only change tab items (comments, notes...) and highlights.
+ * @param {Object} edit - { ops: Delta ops or null for a full replacement, title: whether the title changes }
+ */
+export function canMakeEdit(role, { ops = [], title = false }) {
+  if (hasRole(role, 'editor')) {
+    return true;
+  }
+  return role === 'commenter' && !title && Array.isArray(ops) && isHighlightOnly(ops);
+}
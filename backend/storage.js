@@ -0,0 +1,222 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runMigrations } from './migrations.js';
+import { createSampleDocuments } from './seedData.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Delay before dirty data is written out, so bursts of autosaves share one write
+const WRITE_DELAY_MS = 200;
+
+/**
+ * Storage adapter that keeps nothing between restarts
+ */
+export class MemoryAdapter {
+  read() {
+    return null;
+  }
+
+  write() {}
+}
+
+/**
+ * Storage adapter that keeps the whole database in a single JSON file
+ */
+export class JsonFileAdapter {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written database
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+/**
+ * A named list of records with an `id` field
+ */
+class Collection {
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+  }
+
+  get items() {
+    return this.store.data.collections[this.name];
+  }
+
+  all() {
+    return this.items;
+  }
+
+  get(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  find(predicate) {
+    return this.items.find(predicate) || null;
+  }
+
+  filter(predicate) {
+    return this.items.filter(predicate);
+  }
+
+  insert(item) {
+    this.items.push(item);
+    this.store.persist();
+    return item;
+  }
+
+  update(id, changes) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+    return this.updateAt(index, changes);
+  }
+
+  remove(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+    return this.removeAt(index);
+  }
+
+  removeWhere(predicate) {
+    const removed = this.items.filter(predicate);
+    if (removed.length > 0) {
+      this.store.data.collections[this.name] = this.items.filter(item => !predicate(item));
+      this.store.persist();
+    }
+    return removed;
+  }
+
+  at(index) {
+    return this.items[index] || null;
+  }
+
+  updateAt(index, changes) {
+    if (index < 0 || index >= this.items.length) {
+      return null;
+    }
+    this.items[index] = { ...this.items[index], ...changes };
+    this.store.persist();
+    return this.items[index];
+  }
+
+  removeAt(index) {
+    if (index < 0 || index >= this.items.length) {
+      return null;
+    }
+    const [removed] = this.items.splice(index, 1);
+    this.store.persist();
+    return removed;
+  }
+}
+
+/**
+ * Holds all collections in memory and writes them through a storage adapter
+ */
+export class Store {
+  constructor(adapter, { seed = true } = {}) {
+    this.adapter = adapter;
+    this.seed = seed;
+    this.data = null;
+    this.collections = {};
+    this.writeTimeout = null;
+  }
+
+  load() {
+    const existing = this.adapter.read();
+    this.data = existing || { schemaVersion: 0, collections: {} };
+
+    // Seed a brand new database before migrating, so sample data goes through every migration
+    if (!existing && this.seed) {
+      this.data.collections.documents = createSampleDocuments();
+    }
+
+    const applied = runMigrations(this.data);
+    if (!existing || applied > 0) {
+      this.flush();
+    }
+    return this;
+  }
+
+  collection(name) {
+    if (!this.data.collections[name]) {
+      this.data.collections[name] = [];
+    }
+    if (!this.collections[name]) {
+      this.collections[name] = new Collection(this, name);
+    }
+    return this.collections[name];
+  }
+
+  // Schedule a write; called after every mutation
+  persist() {
+    if (this.writeTimeout) {
+      return;
+    }
+    this.writeTimeout = setTimeout(() => this.flush(), WRITE_DELAY_MS);
+  }
+
+  flush() {
+    if (this.writeTimeout) {
+      clearTimeout(this.writeTimeout);
+      this.writeTimeout = null;
+    }
+    try {
+      this.adapter.write(this.data);
+    } catch (error) {
+      console.error('Error writing storage:', error);
+    }
+  }
+}
+
+/**
+ * Creates the store selected by STORAGE_DRIVER ('json' or 'memory')
+ */
+export function createStore() {
+  const driver = process.env.STORAGE_DRIVER || 'json';
+  const seed = process.env.SEED_SAMPLE_DATA !== 'false';
+
+  let adapter;
+  if (driver === 'memory') {
+    adapter = new MemoryAdapter();
+  } else if (driver === 'json') {
+    const filePath = process.env.STORAGE_PATH || path.join(__dirname, 'data', 'db.json');
+    adapter = new JsonFileAdapter(filePath);
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER '${driver}'. Use 'json' or 'memory'.`);
+  }
+
+  const store = new Store(adapter, { seed }).load();
+  console.log(`Storage: ${driver}`);
+
+  // Write pending changes before the process goes away (nodemon restarts with SIGUSR2)
+  process.on('exit', () => store.flush());
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => process.exit(0));
+  }
+  process.once('SIGUSR2', () => {
+    store.flush();
+    process.kill(process.pid, 'SIGUSR2');
+  });
+
+  return store;
+}
@@ -0,0 +1,366 @@
+import Delta from 'quill-delta';
+
+/*
+ * Sidebar tab items (summaries, notes, edits, custom tab items...) anchor to a range of
+ * the document through position/length. Live editing syncs them as small operations:
+ *   { action: 'add', tabId, item }
+ *   { action: 'update', tabId, itemId, changes }
+ *   { action: 'remove', tabId, itemId }
+ *   { action: 'reply', tabId, itemId, reply }          (discussion threads)
+ *   { action: 'removeReply', tabId, itemId, replyId }
+ *   { action: 'addTab', tab }          (custom tabs)
+ *   { action: 'removeTab', tabId }
+ * so concurrent highlights and comments merge instead of replacing each other's arrays.
+ * frontend/src/collab.js mirrors these helpers.
+ */
+
+function isAnchored(item) {
+  return typeof item.position === 'number' && typeof item.length === 'number';
+}
+
+// New range of an item after a content change; inserts at its edges stay outside it
+function shiftRange(delta, item) {
+  const start = delta.transformPosition(item.position);
+  const end = delta.transformPosition(item.position + item.length, true);
+  return { position: start, length: end - start };
+}
+
+function textOf(documentDelta, position, length) {
+  return documentDelta
+    .slice(position, position + length)
+    .ops.map(op => (typeof op.insert === 'string' ? op.insert : ''))
+    .join('');
+}
+
+function mapTabs(tabs, customTabs, mapItems) {
+  const nextTabs = {};
+  Object.entries(tabs || {}).forEach(([tabId, items]) => {
+    nextTabs[tabId] = mapItems(items, tabId);
+  });
+  const nextCustomTabs = (customTabs || []).map(tab => ({ ...tab, items: mapItems(tab.items || [], tab.id) }));
+  return { tabs: nextTabs, customTabs: nextCustomTabs };
+}
+
+/**
+ * Moves every anchored item through a content change. Items whose text was deleted
+ * entirely are dropped, and items whose text changed get their quoted text refreshed.
+ * @param {Delta|Array} delta - The change
+ * @param {Delta|Array} documentDelta - The document after the change
+ */
+export function shiftTabItems(tabs, customTabs, delta, documentDelta) {
+  const change = new Delta(delta);
+  const doc = new Delta(documentDelta);
+
+  return mapTabs(tabs, customTabs, items => items.flatMap(item => {
+    if (!isAnchored(item)) {
+      return [item];
+    }
+    const range = shiftRange(change, item);
+    if (item.length > 0 && range.length <= 0) {
+      return [];
+    }
+    if (range.length === item.length) {
+      return [{ ...item, position: range.position }];
+    }
+
+    const text = textOf(doc, range.position, range.length).trim();
+    return [{
+      ...item,
+      ...range,
+      highlightedText: text,
+      ...(item.originalText !== undefined && { originalText: text })
+    }];
+  }));
+}
+
+/**
+ * Rebases tab operations made after `delta` was applied elsewhere first (only new items carry positions)
+ */
+export function transformTabOps(ops, delta) {
+  const change = new Delta(delta);
+  return ops.map(op => {
+    if (op.action === 'add' && isAnchored(op.item)) {
+      return { ...op, item: { ...op.item, ...shiftRange(change, op.item) } };
+    }
+    if (op.action === 'addTab') {
+      const items = (op.tab.items || []).map(item => (isAnchored(item) ? { ...item, ...shiftRange(change, item) } : item));
+      return { ...op, tab: { ...op.tab, items } };
+    }
+    return op;
+  });
+}
+
+/**
+ * Applies tab operations. Every operation is idempotent and ignores items or tabs that no longer exist.
+ * @returns {{ tabs: Object, customTabs: Array }}
+ */
+export function applyTabOps(tabs, customTabs, ops) {
+  let nextTabs = { ...tabs };
+  let nextCustomTabs = [...(customTabs || [])];
+
+  const updateItems = (tabId, update) => {
+    if (Array.isArray(nextTabs[tabId])) {
+      nextTabs = { ...nextTabs, [tabId]: update(nextTabs[tabId]) };
+    } else {
+      nextCustomTabs = nextCustomTabs.map(tab => (tab.id === tabId ? { ...tab, items: update(tab.items || []) } : tab));
+    }
+  };
+
+  ops.forEach(op => {
+    switch (op.action) {
+      case 'add':
+        updateItems(op.tabId, items => (items.some(item => item.id === op.item.id) ? items : [...items, op.item]));
+        break;
+      case 'update':
+        updateItems(op.tabId, items => items.map(item => (item.id === op.itemId ? { ...item, ...op.changes } : item)));
+        break;
+      case 'remove':
+        updateItems(op.tabId, items => items.filter(item => item.id !== op.itemId));
+        break;
+      case 'reply':
+        updateItems(op.tabId, items => items.map(item => {
+          const replies = item.replies || [];
+          if (item.id !== op.itemId || replies.some(reply => reply.id === op.reply.id)) {
+            return item;
+          }
+          return { ...item, replies: [...replies, op.reply] };
+        }));
+        break;
+      case 'removeReply':
+        updateItems(op.tabId, items => items.map(item => (item.id === op.itemId
+          ? { ...item, replies: (item.replies || []).filter(reply => reply.id !== op.replyId) }
+          : item)));
+        break;
+      case 'addTab':
+        if (!nextCustomTabs.some(tab => tab.id === op.tab.id)) {
+          nextCustomTabs = [...nextCustomTabs, { items: [], ...op.tab }];
+        }
+        break;
+      case 'removeTab':
+        nextCustomTabs = nextCustomTabs.filter(tab => tab.id !== op.tabId);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { tabs: nextTabs, customTabs: nextCustomTabs };
+}
+
+// Fields that follow the document text; every copy keeps them up to date by itself
+const DERIVED_FIELDS = ['position', 'length', 'highlightedText', 'originalText'];
+
+// Items as sent by a client; anything that isn't a list of items means "unchanged"
+function itemList(items) {
+  return Array.isArray(items) ? items.filter(item => item && typeof item === 'object') : null;
+}
+
+function diffReplies(tabId, itemId, before, after) {
+  const beforeReplies = itemList(before) || [];
+  const afterReplies = itemList(after);
+  if (!afterReplies) return [];
+  const beforeIds = new Set(beforeReplies.map(reply => reply.id));
+  const afterIds = new Set(afterReplies.map(reply => reply.id));
+  return [
+    ...afterReplies.filter(reply => !beforeIds.has(reply.id)).map(reply => ({ action: 'reply', tabId, itemId, reply })),
+    ...beforeReplies.filter(reply => !afterIds.has(reply.id)).map(reply => ({ action: 'removeReply', tabId, itemId, replyId: reply.id }))
+  ];
+}
+
+function diffItems(tabId, before, after) {
+  const afterItems = itemList(after);
+  if (!afterItems) return [];
+  const beforeItems = itemList(before) || [];
+  const beforeById = new Map(beforeItems.map(item => [item.id, item]));
+  const afterIds = new Set(afterItems.map(item => item.id));
+  const ops = [];
+
+  afterItems.forEach(item => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      ops.push({ action: 'add', tabId, item });
+      return;
+    }
+    const changes = {};
+    Object.keys({ ...previous, ...item }).forEach(key => {
+      if (!DERIVED_FIELDS.includes(key) && key !== 'replies' && JSON.stringify(previous[key]) !== JSON.stringify(item[key])) {
+        changes[key] = item[key];
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      ops.push({ action: 'update', tabId, itemId: item.id, changes });
+    }
+    ops.push(...diffReplies(tabId, item.id, previous.replies, item.replies));
+  });
+  beforeItems.forEach(item => {
+    if (!afterIds.has(item.id)) {
+      ops.push({ action: 'remove', tabId, itemId: item.id });
+    }
+  });
+
+  return ops;
+}
+
+/**
+ * Tab operations that turn one copy of the tabs into another. Tabs missing from `after`
+ * are left alone. Mirrors diffTabs in frontend/src/collab.js.
+ * @param {Object} before - { tabs, customTabs }
+ * @param {Object} after - { tabs, customTabs }
+ */
+export function diffTabs(before, after) {
+  const ops = [];
+  const afterTabs = after.tabs && typeof after.tabs === 'object' ? after.tabs : {};
+  Object.keys(afterTabs).forEach(tabId => {
+    ops.push(...diffItems(tabId, (before.tabs || {})[tabId], afterTabs[tabId]));
+  });
+
+  const afterCustomTabs = itemList(after.customTabs);
+  if (afterCustomTabs) {
+    const beforeCustomTabs = before.customTabs || [];
+    const beforeCustom = new Map(beforeCustomTabs.map(tab => [tab.id, tab]));
+    const afterCustomIds = new Set(afterCustomTabs.map(tab => tab.id));
+    afterCustomTabs.forEach(tab => {
+      const previous = beforeCustom.get(tab.id);
+      if (!previous) {
+        ops.push({ action: 'addTab', tab });
+      } else {
+        ops.push(...diffItems(tab.id, previous.items, tab.items));
+      }
+    });
+    beforeCustomTabs.forEach(tab => {
+      if (!afterCustomIds.has(tab.id)) {
+        ops.push({ action: 'removeTab', tabId: tab.id });
+      }
+    });
+  }
+
+  return ops;
+}
+
+// Fields of an existing item a commenter may change (resolvedBy is set by attributeTabOps)
+const COMMENTER_ITEM_FIELDS = ['resolved', 'resolvedAt'];
+
+/**
+ * The tab operations a commenter may make: adding items and replies, resolving and reopening
+ * items, and removing items and replies they wrote. Everything else is dropped, including
+ * adding or removing tabs.
+ * @param {Object} doc - The document as stored, for who wrote what
+ */
+export function limitCommenterTabOps(ops, doc, user) {
+  const items = new Map();
+  mapTabs(doc.tabs, doc.customTabs, (tabItems, tabId) => {
+    tabItems.forEach(item => items.set(`${tabId}:${item.id}`, item));
+    return tabItems;
+  });
+  const tabExists = tabId => tabId !== 'versions'
+    && (Array.isArray((doc.tabs || {})[tabId]) || (doc.customTabs || []).some(tab => tab.id === tabId));
+  const isOwn = record => record?.author?.id === user.id;
+  // Items and replies added earlier in the same batch are theirs too
+  const added = new Set();
+
+  return ops.flatMap(op => {
+    const key = `${op.tabId}:${op.itemId}`;
+    switch (op.action) {
+      case 'add':
+        if (!tabExists(op.tabId) || !op.item) return [];
+        added.add(`${op.tabId}:${op.item.id}`);
+        return [op];
+      case 'reply':
+        if (!tabExists(op.tabId) || !op.reply) return [];
+        added.add(`${key}:${op.reply.id}`);
+        return [op];
+      case 'update': {
+        const changes = Object.fromEntries(Object.entries(op.changes || {}).filter(([field]) => COMMENTER_ITEM_FIELDS.includes(field)));
+        return tabExists(op.tabId) && Object.keys(changes).length > 0 ? [{ ...op, changes }] : [];
+      }
+      case 'remove':
+        return added.has(key) || isOwn(items.get(key)) ? [op] : [];
+      case 'removeReply':
+        return added.has(`${key}:${op.replyId}`) || isOwn((items.get(key)?.replies || []).find(reply => reply.id === op.replyId)) ? [op] : [];
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Merges a commenter's copy of the tabs ({ tabs, customTabs }, either may be missing) into the
+ * stored ones, keeping only the changes limitCommenterTabOps allows
+ * @returns {{ tabs: Object, customTabs: Array }}
+ */
+export function mergeCommenterTabs(doc, next, user) {
+  const ops = diffTabs(doc, next);
+  return applyTabOps(doc.tabs, doc.customTabs, attributeTabOps(limitCommenterTabOps(ops, doc, user), user));
+}
+
+/**
+ * Credits new items, replies and resolutions to the user who sent the operations,
+ * whatever author the client filled in. Updates can't change who wrote an item.
+ */
+export function attributeTabOps(ops, user) {
+  const author = { id: user.id, name: user.name };
+  const attributeItem = item => ({
+    ...item,
+    author,
+    ...(Array.isArray(item.replies) && { replies: item.replies.map(reply => ({ ...reply, author })) })
+  });
+
+  return ops.map(op => {
+    if (op.action === 'add') {
+      return { ...op, item: attributeItem(op.item) };
+    }
+    if (op.action === 'addTab') {
+      return { ...op, tab: { ...op.tab, items: (op.tab.items || []).map(attributeItem) } };
+    }
+    if (op.action === 'reply') {
+      return { ...op, reply: { ...op.reply, author } };
+    }
+    if (op.action === 'update') {
+      const changes = { ...op.changes };
+      delete changes.author;
+      delete changes.resolvedBy;
+      if (changes.resolved !== undefined) {
+        changes.resolvedBy = changes.resolved ? author : null;
+      }
+      return { ...op, changes };
+    }
+    return op;
+  });
+}
+
+/**
+ * The same for tabs sent whole (HTTP saves): items and replies that already existed keep
+ * their authors, new ones are credited to `user`, and so is a new resolution
+ * @param {Object} previous - { tabs, customTabs } as stored
+ * @param {Object} next - { tabs, customTabs } from the client
+ */
+export function attributeTabChanges(previous, next, user) {
+  const author = { id: user.id, name: user.name };
+  const previousItems = new Map();
+  mapTabs(previous.tabs, previous.customTabs, (items, tabId) => {
+    (Array.isArray(items) ? items : []).forEach(item => previousItems.set(`${tabId}:${item.id}`, item));
+    return items;
+  });
+
+  return mapTabs(next.tabs, next.customTabs, (items, tabId) => {
+    if (!Array.isArray(items)) return items;
+    return items.map(item => {
+      const before = previousItems.get(`${tabId}:${item.id}`);
+      const beforeReplies = new Map((before?.replies || []).map(reply => [reply.id, reply]));
+      const resolution = item.resolved
+        ? { resolvedBy: before?.resolved ? before.resolvedBy : author }
+        : ('resolvedBy' in item ? { resolvedBy: null } : {});
+      return {
+        ...item,
+        author: before ? before.author : author,
+        ...resolution,
+        ...(Array.isArray(item.replies) && {
+          replies: item.replies.map(reply => ({
+            ...reply,
+            author: beforeReplies.has(reply.id) ? beforeReplies.get(reply.id).author : author
+          }))
+        })
+      };
+    });
+  });
+}
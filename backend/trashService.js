@@ -0,0 +1,44 @@
+// How long trashed documents are kept before they are purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often the sweeper looks for expired documents
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+export function isTrashed(doc) {
+  return Boolean(doc.deletedAt);
+}
+
+/**
+ * Date after which a trashed document is purged
+ */
+export function getPurgeDate(doc) {
+  return new Date(new Date(doc.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * Trashed documents whose retention period has run out
+ */
+export function findExpiredDocuments(docs, now = new Date()) {
+  return docs.filter(doc => isTrashed(doc) && getPurgeDate(doc) <= now);
+}
+
+/**
+ * Runs purgeExpired now and then periodically
+ * @param {Function} purgeExpired - Removes expired documents, returns how many were purged
+ */
+export function startTrashSweeper(purgeExpired) {
+  const sweep = () => {
+    try {
+      const purged = purgeExpired();
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired document(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+
+  sweep();
+  // Don't keep the process alive just for the sweeper
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+
+// An autosave becomes a new version once this much time has passed since the last one...
+const AUTO_VERSION_INTERVAL_MS = 10 * 60 * 1000;
+// ...or once this many characters of text have changed
+const AUTO_VERSION_MIN_CHANGE = 250;
+// Oldest automatic versions are dropped past this count (named checkpoints are kept)
+const MAX_AUTO_VERSIONS = 50;
+// Above this many token comparisons the diff gives up on aligning the changed middle
+const MAX_DIFF_CELLS = 2000000;
+
+/**
+ * Short description of a version, as stored in doc.tabs.versions
+ */
+export function versionSummary(version) {
+  return {
+    id: version.id,
+    name: version.name,
+    kind: version.kind,
+    title: version.title,
+    createdAt: version.createdAt
+  };
+}
+
+/**
+ * Lists a document's versions, newest first
+ */
+export function listVersions(versions, documentId) {
+  return versions
+    .filter(v => v.documentId === documentId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Saves a snapshot of the document's current title and content
+ * @param {string} kind - 'auto', 'checkpoint' or 'restore'
+ * @returns {Object} The updated tabs.versions list for the document
+ */
+export function createSnapshot(versions, doc, { kind = 'auto', name = '' } = {}) {
+  versions.insert({
+    id: crypto.randomUUID(),
+    documentId: doc.id,
+    kind,
+    name,
+    title: doc.title,
+    content: doc.content,
+    createdAt: new Date().toISOString()
+  });
+
+  // Trim old automatic versions
+  const autoVersions = listVersions(versions.all(), doc.id).filter(v => v.kind === 'auto');
+  const expiredIds = new Set(autoVersions.slice(MAX_AUTO_VERSIONS).map(v => v.id));
+  if (expiredIds.size > 0) {
+    versions.removeWhere(v => expiredIds.has(v.id));
+  }
+
+  return listVersions(versions.all(), doc.id).map(versionSummary);
+}
+
+/**
+ * Decides whether a save is meaningful enough to snapshot, compared to the latest version
+ */
+export function shouldSnapshot(latestVersion, doc) {
+  if (!latestVersion) {
+    return true;
+  }
+  if (latestVersion.content === doc.content && latestVersion.title === doc.title) {
+    return false;
+  }
+
+  const elapsed = Date.now() - new Date(latestVersion.createdAt).getTime();
+  if (elapsed >= AUTO_VERSION_INTERVAL_MS) {
+    return true;
+  }
+
+  const previousText = stripTags(latestVersion.content);
+  const currentText = stripTags(doc.content);
+  return countChangedCharacters(previousText, currentText) >= AUTO_VERSION_MIN_CHANGE;
+}
+
+/**
+ * Cheap pre-check for incremental saves, which don't have HTML at hand:
+ * true when a snapshot might be due given how many characters changed since the last one
+ */
+export function isSnapshotDue(latestVersion, changedCharacters) {
+  if (!latestVersion) {
+    return true;
+  }
+  const elapsed = Date.now() - new Date(latestVersion.createdAt).getTime();
+  return elapsed >= AUTO_VERSION_INTERVAL_MS || changedCharacters >= AUTO_VERSION_MIN_CHANGE;
+}
+
+/**
+ * Rough count of changed characters: everything outside the common prefix and suffix
+ */
+function countChangedCharacters(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return Math.max(a.length, b.length) - prefix - suffix;
+}
+
+function stripTags(html) {
+  return (html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds a side-by-side diff of two HTML snapshots.
+ * Each side keeps its own markup; removed words are wrapped in <del> on the left
+ * and added words in <ins> on the right.
+ * @returns {{ left: string, right: string }}
+ */
+export function diffHtml(oldHtml, newHtml) {
+  const oldTokens = tokenizeHtml(oldHtml);
+  const newTokens = tokenizeHtml(newHtml);
+  const ops = diffTokens(oldTokens, newTokens);
+
+  return {
+    left: renderSide(ops, 'delete', 'del', 'diff-removed'),
+    right: renderSide(ops, 'insert', 'ins', 'diff-added')
+  };
+}
+
+function tokenizeHtml(html) {
+  return (html || '').match(/<[^>]+>|[^<\s]+|\s+/g) || [];
+}
+
+/**
+ * Token-level LCS diff
+ * @returns {Array<{ type: 'equal'|'delete'|'insert', token: string }>}
+ */
+function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(token => ({ type: 'equal', token }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    // Too large to align - show the whole middle as replaced
+    midA.forEach(token => ops.push({ type: 'delete', token }));
+    midB.forEach(token => ops.push({ type: 'insert', token }));
+  } else {
+    // lengths[i * (m + 1) + j] = LCS length of midA[i:] and midB[j:]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: 'equal', token: midA[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        ops.push({ type: 'delete', token: midA[i++] });
+      } else {
+        ops.push({ type: 'insert', token: midB[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: 'delete', token: midA[i++] });
+    while (j < m) ops.push({ type: 'insert', token: midB[j++] });
+  }
+
+  a.slice(endA).forEach(token => ops.push({ type: 'equal', token }));
+  return ops;
+}
+
+/**
+ * Renders one side of the diff, wrapping runs of changed text (never tags) in a marker element
+ */
+function renderSide(ops, changedType, tagName, className) {
+  let html = '';
+  let open = false;
+
+  for (const op of ops) {
+    if (op.type !== 'equal' && op.type !== changedType) {
+      continue;
+    }
+    const isTag = op.token.startsWith('<');
+    const isChangedText = op.type === changedType && !isTag;
+
+    if (isChangedText && !open) {
+      html += `<${tagName} class="${className}">`;
+      open = true;
+    } else if (!isChangedText && open) {
+      html += `</${tagName}>`;
+      open = false;
+    }
+    html += op.token;
+  }
+
+  if (open) {
+    html += `</${tagName}>`;
+  }
+  return html;
+}
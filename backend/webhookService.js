@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Events a webhook can subscribe to ('ping' is only sent by the test route)
+export const WEBHOOK_EVENTS = [
+  'document.created',
+  'document.updated',
+  'document.deleted',
+  'document.restored',
+  'actionItem.created',
+  'actionItem.completed',
+  'wordEdit.applied'
+];
+
+// A delivery is attempted this many times in total before it is marked failed...
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+// ...waiting this long before the first retry and twice as long before each one after it
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '10', 10) * 1000;
+// Receivers that don't answer within this long count as failed attempts
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Older deliveries are dropped from a webhook's log past this many
+const MAX_DELIVERIES_PER_WEBHOOK = 200;
+// Hosts on this machine or a private network that may still receive deliveries (comma-separated
+// hostnames or IPs, e.g. a receiver running next to the server)
+const ALLOWED_PRIVATE_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean));
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges.
+// Webhook URLs are chosen by users, so deliveries must not reach into the server's own network.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_HOST_ERROR = 'The URL points to this server or a private network';
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// URL hostname without the brackets around IPv6 addresses or a trailing dot
+function bareHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * Whether a webhook URL names a host deliveries may not go to: localhost or a private IP
+ * that isn't in WEBHOOK_ALLOWED_HOSTS. Hostnames are only resolved when a delivery is sent,
+ * and checked again then.
+ * @param {URL} url
+ */
+export function isBlockedWebhookUrl(url) {
+  const hostname = bareHostname(url);
+  if (ALLOWED_PRIVATE_HOSTS.has(hostname)) {
+    return false;
+  }
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname);
+}
+
+// dns.lookup that refuses private addresses, so the address that was checked is the one connected to
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!ALLOWED_PRIVATE_HOSTS.has(hostname.toLowerCase()) && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(Object.assign(new Error(BLOCKED_HOST_ERROR), { code: 'EBLOCKEDHOST' }));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POSTs a delivery and resolves with the receiver's status code. Redirects aren't followed and
+ * the response body is never read, so nothing the receiver sends back reaches the delivery log.
+ */
+function postDelivery(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (isBlockedWebhookUrl(target)) {
+      reject(Object.assign(new Error(BLOCKED_HOST_ERROR), { code: 'EBLOCKEDHOST' }));
+      return;
+    }
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupPublicAddress
+    }, (response) => {
+      resolve(response.statusCode);
+      response.destroy();
+    });
+    request.setTimeout(DELIVERY_TIMEOUT_MS, () => {
+      request.destroy(Object.assign(new Error('Timed out'), { name: 'TimeoutError' }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Signature sent in X-Webhook-Signature: an HMAC-SHA256 of "<timestamp>.<body>" keyed with the
+ * webhook's secret. Receivers recompute it to check a delivery came from us and wasn't replayed.
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function createWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Webhook fields returned by the API; the secret is only shown when it is created
+export function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * Delivers events to subscribed webhooks, retrying failures with exponential backoff.
+ * Pending deliveries are stored, so retries resume after a restart.
+ * @param {Object} webhooks - Storage collection of webhook subscriptions
+ * @param {Object} deliveries - Storage collection of delivery attempts
+ */
+export function createWebhookDispatcher({ webhooks, deliveries }) {
+  const timers = new Map();
+  const coalesceTimers = new Map();
+
+  const scheduleDelivery = (deliveryId, delayMs) => {
+    clearTimeout(timers.get(deliveryId));
+    const timer = setTimeout(() => deliver(deliveryId), Math.max(0, delayMs));
+    // Don't keep the process alive for pending retries
+    timer.unref();
+    timers.set(deliveryId, timer);
+  };
+
+  const trimLog = (webhookId) => {
+    const stale = deliveries
+      .filter(delivery => delivery.webhookId === webhookId && delivery.status !== 'pending')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(MAX_DELIVERIES_PER_WEBHOOK);
+    if (stale.length > 0) {
+      const staleIds = new Set(stale.map(delivery => delivery.id));
+      deliveries.removeWhere(delivery => staleIds.has(delivery.id));
+    }
+  };
+
+  const attemptDelivery = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+
+    try {
+      const statusCode = await postDelivery(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DropboxAI-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      }, body);
+      return {
+        at: new Date(startedAt).toISOString(),
+        statusCode,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        at: new Date(startedAt).toISOString(),
+        statusCode: null,
+        error: error.name === 'TimeoutError' ? 'Timed out' : error.message,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  };
+
+  const deliver = async (deliveryId) => {
+    timers.delete(deliveryId);
+    const delivery = deliveries.get(deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      deliveries.update(deliveryId, { status: 'failed', nextAttemptAt: null });
+      return;
+    }
+
+    const attempt = await attemptDelivery(webhook, delivery);
+    const attempts = [...delivery.attempts, attempt];
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+
+    if (succeeded || attempts.length >= MAX_ATTEMPTS) {
+      deliveries.update(deliveryId, { attempts, status: succeeded ? 'succeeded' : 'failed', nextAttemptAt: null });
+      trimLog(webhook.id);
+      return;
+    }
+
+    const delayMs = RETRY_BASE_MS * 2 ** (attempts.length - 1);
+    deliveries.update(deliveryId, { attempts, nextAttemptAt: new Date(Date.now() + delayMs).toISOString() });
+    scheduleDelivery(deliveryId, delayMs);
+  };
+
+  const enqueue = (webhook, event, data) => {
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const delivery = deliveries.insert({
+      id,
+      webhookId: webhook.id,
+      event,
+      payload: { id, event, createdAt, data },
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: createdAt,
+      createdAt
+    });
+    scheduleDelivery(id, 0);
+    return delivery;
+  };
+
+  /**
+   * Sends an event to every active webhook of `ownerId` subscribed to it
+   */
+  const emit = (event, ownerId, data) => {
+    webhooks
+      .filter(webhook => webhook.ownerId === ownerId && webhook.active && webhook.events.includes(event))
+      .forEach(webhook => enqueue(webhook, event, data));
+  };
+
+  /**
+   * Like emit, but calls for the same key within `delayMs` of each other send one event.
+   * `build` runs when the quiet period ends and returns { event, ownerId, data }, or null to skip.
+   */
+  const emitCoalesced = (key, delayMs, build) => {
+    clearTimeout(coalesceTimers.get(key));
+    const timer = setTimeout(() => {
+      coalesceTimers.delete(key);
+      const message = build();
+      if (message) {
+        emit(message.event, message.ownerId, message.data);
+      }
+    }, delayMs);
+    timer.unref();
+    coalesceTimers.set(key, timer);
+  };
+
+  // Sends a 'ping' to one webhook, whatever it subscribes to
+  const ping = (webhook) => enqueue(webhook, 'ping', { webhookId: webhook.id });
+
+  const listDeliveries = (webhookId) => deliveries
+    .filter(delivery => delivery.webhookId === webhookId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const removeWebhook = (webhookId) => {
+    listDeliveries(webhookId).forEach(delivery => clearTimeout(timers.get(delivery.id)));
+    deliveries.removeWhere(delivery => delivery.webhookId === webhookId);
+    webhooks.remove(webhookId);
+  };
+
+  // Pick up retries that were waiting when the server last stopped
+  deliveries
+    .filter(delivery => delivery.status === 'pending')
+    .forEach(delivery => scheduleDelivery(delivery.id, new Date(delivery.nextAttemptAt) - Date.now()));
+
+  return { emit, emitCoalesced, ping, listDeliveries, removeWebhook };
+}
@@ -1,15 +1,22 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { AuthProvider, RequireAuth } from './AuthContext';
 import DocumentList from './components/DocumentList';
 import DocumentEditor from './components/DocumentEditor';
+import LoginPage from './components/LoginPage';
+import LogoutPage from './components/LogoutPage';
 
 function App() {
   return (
-    <Router>
-      <Routes>
-        <Route path="/" element={<DocumentList />} />
-        <Route path="/document/:id" element={<DocumentEditor />} />
-      </Routes>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <Routes>
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/logout" element={<LogoutPage />} />
+          <Route path="/" element={<RequireAuth><DocumentList /></RequireAuth>} />
+          <Route path="/document/:id" element={<RequireAuth><DocumentEditor /></RequireAuth>} />
+        </Routes>
+      </Router>
+    </AuthProvider>
   );
 }
 
@@ -0,0 +1,107 @@
+import { createContext, useContext, useEffect, useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import axios from 'axios';
+import { API_URL } from './config';
+
+const TOKEN_KEY = 'authToken';
+
+const AuthContext = createContext(null);
+
+export function getAuthToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+// Every axios request carries the session token
+function applyToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+  }
+}
+
+applyToken(getAuthToken());
+
+/**
+ * Holds the logged-in user and the login/register/logout actions
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(Boolean(getAuthToken()));
+
+  // An expired or revoked session sends the user back to the login page
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && !error.config?.url?.includes('/api/auth/login')) {
+          applyToken(null);
+          setUser(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  useEffect(() => {
+    if (!getAuthToken()) return;
+
+    axios.get(`${API_URL}/api/auth/me`)
+      .then(response => setUser(response.data))
+      .catch(error => console.error('Error loading account:', error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const startSession = ({ token, user: account }) => {
+    applyToken(token);
+    setUser(account);
+    return account;
+  };
+
+  const login = async (email, password) => {
+    const response = await axios.post(`${API_URL}/api/auth/login`, { email, password });
+    return startSession(response.data);
+  };
+
+  const register = async (name, email, password) => {
+    const response = await axios.post(`${API_URL}/api/auth/register`, { name, email, password });
+    return startSession(response.data);
+  };
+
+  const logout = async () => {
+    try {
+      await axios.post(`${API_URL}/api/auth/logout`);
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    applyToken(null);
+    setUser(null);
+  };
+
+  return (
+    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
+
+/**
+ * Renders its children for logged-in users and sends everyone else to the login page
+ */
+export function RequireAuth({ children }) {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) return null;
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+  return children;
+}
@@ -0,0 +1,76 @@
+import { API_URL } from './config';
+import { getAuthToken } from './AuthContext';
+
+/*
+ * Client for the streaming AI endpoints (/api/ai/.../stream). They answer a POST with
+ * Server-Sent Events, which EventSource can't send, so the stream is read from fetch.
+ */
+
+/**
+ * Posts to a streaming AI endpoint and calls onToken with each chunk of text as it arrives
+ * @param {AbortSignal} signal - Aborting it stops the stream and the AI request behind it
+ * @returns {Promise<Object>} The data of the final 'done' event
+ */
+export async function streamAI(path, body, { onToken, signal } = {}) {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${getAuthToken()}`
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`AI request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; the last piece may still be incomplete
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    events.forEach(raw => {
+      const event = raw.match(/^event: (.*)$/m)?.[1];
+      const data = raw.match(/^data: (.*)$/m)?.[1];
+      if (!event || !data) return;
+
+      const payload = JSON.parse(data);
+      if (event === 'token') {
+        onToken?.(payload.text);
+      } else if (event === 'done') {
+        result = payload;
+      } else if (event === 'error') {
+        throw new Error(payload.error);
+      }
+    });
+  }
+
+  if (!result) {
+    throw new Error('AI stream ended early');
+  }
+  return result;
+}
+
+/**
+ * The value of a string field in JSON that is still arriving, e.g. "editedText" while an
+ * edit streams in, or '' until the field starts
+ */
+export function partialJSONString(text, field) {
+  const match = text.match(new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+  if (!match) return '';
+  try {
+    // Drop a trailing half escape sequence before decoding
+    return JSON.parse(`"${match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '')}"`);
+  } catch (error) {
+    return match[1];
+  }
+}
@@ -0,0 +1,450 @@
+import { Quill } from 'react-quill';
+import { API_URL } from './config';
+import { getAuthToken } from './AuthContext';
+
+const Delta = Quill.import('delta');
+
+// Reconnect delays after the live connection drops
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+// Presence keep-alive; the server drops collaborators it hasn't heard from in 45 seconds
+const PRESENCE_HEARTBEAT_MS = 15000;
+
+/*
+ * Client side of live document editing (see backend/collabService.js for the protocol).
+ * The tab item helpers mirror backend/tabItemService.js so both sides move highlights the same way.
+ */
+
+function isAnchored(item) {
+  return typeof item.position === 'number' && typeof item.length === 'number';
+}
+
+// New range of an item after a content change; inserts at its edges stay outside it
+function shiftRange(delta, item) {
+  const start = delta.transformPosition(item.position);
+  const end = delta.transformPosition(item.position + item.length, true);
+  return { position: start, length: end - start };
+}
+
+/**
+ * Moves every anchored item through a content change, dropping items whose text was deleted
+ * @param {Function} getText - Reads (index, length) from the document after the change
+ */
+export function shiftTabItems(tabs, customTabs, delta, getText) {
+  const shiftItems = items => items.flatMap(item => {
+    if (!isAnchored(item)) return [item];
+    const range = shiftRange(delta, item);
+    if (item.length > 0 && range.length <= 0) return [];
+    if (range.length === item.length) return [{ ...item, position: range.position }];
+
+    const text = getText(range.position, range.length).trim();
+    return [{
+      ...item,
+      ...range,
+      highlightedText: text,
+      ...(item.originalText !== undefined && { originalText: text })
+    }];
+  });
+
+  const nextTabs = {};
+  Object.entries(tabs).forEach(([tabId, items]) => {
+    nextTabs[tabId] = shiftItems(items);
+  });
+  return {
+    tabs: nextTabs,
+    customTabs: customTabs.map(tab => ({ ...tab, items: shiftItems(tab.items || []) }))
+  };
+}
+
+/**
+ * Rebases tab operations over a content change made elsewhere first
+ */
+export function transformTabOps(ops, delta) {
+  return ops.map(op => {
+    if (op.action === 'add' && isAnchored(op.item)) {
+      return { ...op, item: { ...op.item, ...shiftRange(delta, op.item) } };
+    }
+    if (op.action === 'addTab') {
+      const items = (op.tab.items || []).map(item => (isAnchored(item) ? { ...item, ...shiftRange(delta, item) } : item));
+      return { ...op, tab: { ...op.tab, items } };
+    }
+    return op;
+  });
+}
+
+/**
+ * Applies tab operations (add/update/remove items, reply/removeReply, addTab/removeTab custom tabs)
+ */
+export function applyTabOps(tabs, customTabs, ops) {
+  let nextTabs = { ...tabs };
+  let nextCustomTabs = [...customTabs];
+
+  const updateItems = (tabId, update) => {
+    if (Array.isArray(nextTabs[tabId])) {
+      nextTabs = { ...nextTabs, [tabId]: update(nextTabs[tabId]) };
+    } else {
+      nextCustomTabs = nextCustomTabs.map(tab => (tab.id === tabId ? { ...tab, items: update(tab.items || []) } : tab));
+    }
+  };
+
+  ops.forEach(op => {
+    switch (op.action) {
+      case 'add':
+        updateItems(op.tabId, items => (items.some(item => item.id === op.item.id) ? items : [...items, op.item]));
+        break;
+      case 'update':
+        updateItems(op.tabId, items => items.map(item => (item.id === op.itemId ? { ...item, ...op.changes } : item)));
+        break;
+      case 'remove':
+        updateItems(op.tabId, items => items.filter(item => item.id !== op.itemId));
+        break;
+      case 'reply':
+        updateItems(op.tabId, items => items.map(item => {
+          const replies = item.replies || [];
+          if (item.id !== op.itemId || replies.some(reply => reply.id === op.reply.id)) return item;
+          return { ...item, replies: [...replies, op.reply] };
+        }));
+        break;
+      case 'removeReply':
+        updateItems(op.tabId, items => items.map(item => (item.id === op.itemId
+          ? { ...item, replies: (item.replies || []).filter(reply => reply.id !== op.replyId) }
+          : item)));
+        break;
+      case 'addTab':
+        if (!nextCustomTabs.some(tab => tab.id === op.tab.id)) {
+          nextCustomTabs = [...nextCustomTabs, { items: [], ...op.tab }];
+        }
+        break;
+      case 'removeTab':
+        nextCustomTabs = nextCustomTabs.filter(tab => tab.id !== op.tabId);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { tabs: nextTabs, customTabs: nextCustomTabs };
+}
+
+// Fields that follow the document text; every client keeps them up to date by itself
+const DERIVED_FIELDS = ['position', 'length', 'highlightedText', 'originalText'];
+
+// Replies travel as their own operations so concurrent replies to one item all survive
+function diffReplies(tabId, itemId, before = [], after = []) {
+  const beforeIds = new Set(before.map(reply => reply.id));
+  const afterIds = new Set(after.map(reply => reply.id));
+  return [
+    ...after.filter(reply => !beforeIds.has(reply.id)).map(reply => ({ action: 'reply', tabId, itemId, reply })),
+    ...before.filter(reply => !afterIds.has(reply.id)).map(reply => ({ action: 'removeReply', tabId, itemId, replyId: reply.id }))
+  ];
+}
+
+function diffItems(tabId, before, after) {
+  const ops = [];
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+
+  after.forEach(item => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      ops.push({ action: 'add', tabId, item });
+      return;
+    }
+    const changes = {};
+    Object.keys({ ...previous, ...item }).forEach(key => {
+      if (!DERIVED_FIELDS.includes(key) && key !== 'replies' && JSON.stringify(previous[key]) !== JSON.stringify(item[key])) {
+        changes[key] = item[key];
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      ops.push({ action: 'update', tabId, itemId: item.id, changes });
+    }
+    ops.push(...diffReplies(tabId, item.id, previous.replies, item.replies));
+  });
+  before.forEach(item => {
+    if (!afterIds.has(item.id)) {
+      ops.push({ action: 'remove', tabId, itemId: item.id });
+    }
+  });
+
+  return ops;
+}
+
+/**
+ * Tab operations that turn one copy of the tabs into another
+ */
+export function diffTabs(before, after) {
+  const ops = [];
+  Object.keys(after.tabs).forEach(tabId => {
+    ops.push(...diffItems(tabId, before.tabs[tabId] || [], after.tabs[tabId]));
+  });
+
+  const beforeCustom = new Map(before.customTabs.map(tab => [tab.id, tab]));
+  const afterCustomIds = new Set(after.customTabs.map(tab => tab.id));
+  after.customTabs.forEach(tab => {
+    const previous = beforeCustom.get(tab.id);
+    if (!previous) {
+      ops.push({ action: 'addTab', tab });
+    } else {
+      ops.push(...diffItems(tab.id, previous.items || [], tab.items || []));
+    }
+  });
+  before.customTabs.forEach(tab => {
+    if (!afterCustomIds.has(tab.id)) {
+      ops.push({ action: 'removeTab', tabId: tab.id });
+    }
+  });
+
+  return ops;
+}
+
+/**
+ * Moves a cursor or selection ({ index, length }) through a content change
+ */
+export function transformSelection(selection, delta) {
+  const index = delta.transformPosition(selection.index);
+  const end = delta.transformPosition(selection.index + selection.length);
+  return { index, length: Math.max(0, end - index) };
+}
+
+/**
+ * Rebases a change ({ delta, tabOps, title }) over another made against the same revision
+ */
+function transformChange(change, against, hasPriority) {
+  return {
+    ...change,
+    delta: against.delta.transform(change.delta, !hasPriority),
+    tabOps: transformTabOps(change.tabOps, change.delta.transform(against.delta, hasPriority))
+  };
+}
+
+function composeChanges(first, second) {
+  return {
+    delta: first.delta.compose(second.delta),
+    tabOps: [...transformTabOps(first.tabOps, second.delta), ...second.tabOps],
+    title: second.title !== undefined ? second.title : first.title
+  };
+}
+
+function toChange(message) {
+  return { delta: new Delta(message.delta), tabOps: message.tabOps || [], title: message.title };
+}
+
+/**
+ * A random id for changes, replies and the like. randomUUID is only there in secure
+ * contexts, which a LAN address over http isn't.
+ */
+export function newId() {
+  return window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Opens the live channel for a document. One change is in flight at a time; later local
+ * changes are buffered, and remote changes are rebased over both before they reach the editor.
+ * Every (re)connection starts with onInit, which carries the server copy of the document.
+ * After a reconnect onInit also gets the changes the server never received, as
+ * { base, tabOps, title }: `base` is the last server copy they were made against, so the
+ * editor can rebase its text onto the new copy instead of losing it.
+ * @param {Object} handlers - onInit(document, unsent), onRemoteChange(change, revision),
+ *   onAck(revision, settled), onStatusChange(connected), onPresence(collaborators),
+ *   onConnectFailed() (a connection attempt was refused or never got through)
+ * @returns {{ submit: Function, updatePresence: Function, isConnected: Function, hasConnected: Function, takeUnsent: Function, close: Function }}
+ */
+export function connectLiveDocument(documentId, handlers) {
+  // Browsers can't set headers on WebSockets, so the session token goes in the URL
+  const baseUrl = `${(API_URL || window.location.origin).replace(/^http/, 'ws')}/api/documents/${documentId}/live`;
+  let socket = null;
+  let connected = false;
+  let everConnected = false;
+  let closed = false;
+  let reconnectDelay = RECONNECT_MIN_MS;
+  let revision = null;
+  // The server's copy of the text at `revision`
+  let confirmed = null;
+  let outstanding = null;
+  let buffer = null;
+  // Unacknowledged changes carried over a reconnect: { base, outstanding, buffer, rejected }
+  let carried = null;
+  let clientId = null;
+  let selection = null;
+  let heartbeat = null;
+
+  const sendOutstanding = () => {
+    socket.send(JSON.stringify({
+      type: 'change',
+      changeId: outstanding.changeId,
+      baseRevision: revision,
+      delta: outstanding.delta.ops,
+      tabOps: outstanding.tabOps,
+      title: outstanding.title
+    }));
+  };
+
+  const sendPresence = (state) => {
+    if (connected) {
+      socket.send(JSON.stringify({ type: 'presence', ...state }));
+    }
+  };
+
+  // Everyone else in the document; our own entry is left out
+  const reportPresence = (collaborators) => {
+    handlers.onPresence(collaborators.filter(collaborator => collaborator.clientId !== clientId));
+  };
+
+  // The carried changes as { base, tabOps, title } for onInit, and forgets them
+  const takeCarried = (pendingChangeApplied) => {
+    if (!carried) return null;
+    // A change that went through before the connection dropped is part of the base now
+    const applied = carried.outstanding && !carried.rejected && pendingChangeApplied;
+    const changes = [applied ? null : carried.outstanding, carried.buffer].filter(Boolean);
+    const pending = changes.length > 0 ? changes.reduce(composeChanges) : null;
+    const unsent = {
+      base: applied ? carried.base.compose(carried.outstanding.delta) : carried.base,
+      tabOps: pending ? pending.tabOps : [],
+      title: pending ? pending.title : undefined
+    };
+    carried = null;
+    return unsent;
+  };
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case 'init': {
+        const unsent = takeCarried(message.pendingChangeApplied);
+        revision = message.document.revision;
+        confirmed = new Delta(message.document.delta);
+        clientId = message.clientId;
+        outstanding = null;
+        buffer = null;
+        handlers.onInit(message.document, unsent);
+        reportPresence(message.collaborators || []);
+        sendPresence({ selection });
+        break;
+      }
+      case 'presence':
+        reportPresence(message.collaborators);
+        break;
+      case 'ack':
+        revision = message.revision;
+        confirmed = confirmed.compose(outstanding.delta);
+        outstanding = buffer && { ...buffer, changeId: newId() };
+        buffer = null;
+        if (outstanding) {
+          sendOutstanding();
+        }
+        handlers.onAck(revision, !outstanding);
+        break;
+      case 'change': {
+        let remote = toChange(message);
+        // Remote changes come in server order, so each applies to the confirmed copy as it is
+        confirmed = confirmed.compose(remote.delta);
+        // The server ordered this change before ours, so it wins ties
+        if (outstanding) {
+          const rebased = transformChange(remote, outstanding, true);
+          outstanding = transformChange(outstanding, remote, false);
+          remote = rebased;
+        }
+        if (buffer) {
+          const rebased = transformChange(remote, buffer, true);
+          buffer = transformChange(buffer, remote, false);
+          remote = rebased;
+        }
+        revision = message.revision;
+        handlers.onRemoteChange(remote, revision);
+        break;
+      }
+      case 'resync':
+        // Reconnecting starts over from a fresh 'init'. A change in flight was turned down:
+        // an ack for it would have arrived before this.
+        if (carried === null && confirmed) {
+          carried = { base: confirmed, outstanding, buffer, rejected: true };
+        }
+        socket.close();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const open = () => {
+    // Ask whether a change that was in flight when the connection dropped went through
+    const pendingChange = carried?.outstanding && !carried.rejected ? `&pendingChange=${encodeURIComponent(carried.outstanding.changeId)}` : '';
+    socket = new WebSocket(`${baseUrl}?access_token=${encodeURIComponent(getAuthToken() || '')}${pendingChange}`);
+    socket.onopen = () => {
+      connected = true;
+      everConnected = true;
+      reconnectDelay = RECONNECT_MIN_MS;
+      heartbeat = setInterval(() => sendPresence({}), PRESENCE_HEARTBEAT_MS);
+      handlers.onStatusChange(true);
+    };
+    socket.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error handling live update:', error);
+      }
+    };
+    socket.onclose = () => {
+      const wasConnected = connected;
+      connected = false;
+      // Keep what the server hasn't confirmed for the next 'init' (a failed reconnect keeps the first copy)
+      if (carried === null && confirmed) {
+        carried = { base: confirmed, outstanding, buffer, rejected: false };
+      }
+      revision = null;
+      confirmed = null;
+      outstanding = null;
+      buffer = null;
+      clearInterval(heartbeat);
+      if (wasConnected) {
+        handlers.onPresence([]);
+        handlers.onStatusChange(false);
+      } else if (!closed) {
+        handlers.onConnectFailed();
+      }
+      if (!closed) {
+        setTimeout(open, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+      }
+    };
+  };
+
+  open();
+
+  return {
+    /**
+     * Sends a local change ({ delta, tabOps, title }) made on top of everything seen so far
+     */
+    submit(change) {
+      const localChange = { delta: new Delta(change.delta), tabOps: change.tabOps || [], title: change.title };
+      if (outstanding) {
+        buffer = buffer ? composeChanges(buffer, localChange) : localChange;
+      } else {
+        outstanding = { ...localChange, changeId: newId() };
+        sendOutstanding();
+      }
+    },
+    /**
+     * Shares our cursor or selection ({ index, length }, or null when the editor isn't focused)
+     */
+    updatePresence(nextSelection) {
+      selection = nextSelection;
+      sendPresence({ selection });
+    },
+    // Only changes made after 'init' can be sent live
+    isConnected: () => connected && revision !== null,
+    // Whether the live channel works here at all (some hosts don't support WebSockets)
+    hasConnected: () => everConnected,
+    /**
+     * Hands over the changes the server never confirmed ({ base, tabOps, title }, or null), for
+     * an editor that saves them another way. The next 'init' won't carry them.
+     */
+    takeUnsent: () => takeCarried(false),
+    close() {
+      closed = true;
+      if (socket) {
+        socket.close();
+      }
+    }
+  };
+}
@@ -1,34 +1,43 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { API_URL } from '../config';
+import { getAuthToken } from '../AuthContext';
 import './ActionItems.css';
 
-function ActionItems({ actionItems, onUpdate }) {
+function ActionItems({ actionItems, onUpdate, highlightedItemId }) {
   const [expandedItems, setExpandedItems] = useState({});
   const [draftingEmail, setDraftingEmail] = useState({});
   const [creatingEvent, setCreatingEvent] = useState({});
   const [generatingEdit, setGeneratingEdit] = useState({});
   const [expandedEdits, setExpandedEdits] = useState({});
 
-  const toggleExpand = (index) => {
+  // Scroll to the item a notification linked to
+  useEffect(() => {
+    if (!highlightedItemId) return;
+    document.querySelector(`[data-action-item-id="${CSS.escape(highlightedItemId)}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [highlightedItemId]);
+
+  const toggleExpand = (itemId) => {
     setExpandedItems(prev => ({
       ...prev,
-      [index]: !prev[index]
+      [itemId]: !prev[itemId]
     }));
   };
 
-  const toggleEditExpand = (index) => {
+  const toggleEditExpand = (itemId) => {
     setExpandedEdits(prev => ({
       ...prev,
-      [index]: !prev[index]
+      [itemId]: !prev[itemId]
     }));
   };
 
-  const handleDraftEmail = async (index) => {
-    setDraftingEmail(prev => ({ ...prev, [index]: true }));
+  const handleDraftEmail = async (itemId) => {
+    setDraftingEmail(prev => ({ ...prev, [itemId]: true }));
     
     try {
-      const response = await axios.post(`${API_URL}/api/action-items/${index}/draft-email`);
+      const response = await axios.post(`${API_URL}/api/action-items/${itemId}/draft-email`);
       
       if (response.data.success) {
         onUpdate();
@@ -37,15 +46,15 @@ function ActionItems({ actionItems, onUpdate }) {
       console.error('Error drafting email:', error);
       alert('Failed to draft email. Please try again.');
     } finally {
-      setDraftingEmail(prev => ({ ...prev, [index]: false }));
+      setDraftingEmail(prev => ({ ...prev, [itemId]: false }));
     }
   };
 
-  const handleCreateCalendarEvent = async (index) => {
-    setCreatingEvent(prev => ({ ...prev, [index]: true }));
+  const handleCreateCalendarEvent = async (itemId) => {
+    setCreatingEvent(prev => ({ ...prev, [itemId]: true }));
     
     try {
-      const response = await axios.post(`${API_URL}/api/action-items/${index}/create-calendar-event`);
+      const response = await axios.post(`${API_URL}/api/action-items/${itemId}/create-calendar-event`);
       
       if (response.data.success) {
         onUpdate();
@@ -54,30 +63,31 @@ function ActionItems({ actionItems, onUpdate }) {
       console.error('Error creating calendar event:', error);
       alert('Failed to create calendar event. Please try again.');
     } finally {
-      setCreatingEvent(prev => ({ ...prev, [index]: false }));
+      setCreatingEvent(prev => ({ ...prev, [itemId]: false }));
     }
   };
 
-  const handleDownloadICS = (index) => {
-    window.open(`/api/action-items/${index}/download-ics`, '_blank');
+  const handleDownloadICS = (itemId) => {
+    // A plain link can't send the Authorization header
+    window.open(`/api/action-items/${itemId}/download-ics?access_token=${encodeURIComponent(getAuthToken())}`, '_blank');
   };
 
-  const handleGenerateWordEdit = async (index) => {
-    setGeneratingEdit(prev => ({ ...prev, [index]: true }));
+  const handleGenerateWordEdit = async (itemId) => {
+    setGeneratingEdit(prev => ({ ...prev, [itemId]: true }));
     
     try {
-      const response = await axios.post(`${API_URL}/api/action-items/${index}/generate-word-edit`);
+      const response = await axios.post(`${API_URL}/api/action-items/${itemId}/generate-word-edit`);
       
       if (response.data.success) {
         onUpdate();
         // Auto-expand the edit after generation
-        setExpandedEdits(prev => ({ ...prev, [index]: true }));
+        setExpandedEdits(prev => ({ ...prev, [itemId]: true }));
       }
     } catch (error) {
       console.error('Error generating word edit:', error);
       alert('Failed to generate word edit. Please try again.');
     } finally {
-      setGeneratingEdit(prev => ({ ...prev, [index]: false }));
+      setGeneratingEdit(prev => ({ ...prev, [itemId]: false }));
     }
   };
 
@@ -245,37 +255,51 @@ function ActionItems({ actionItems, onUpdate }) {
       
       const updatedContent = doc.body.innerHTML;
       
-      // Update the document
+      // Update the document, failing if it changed since we read it
       await axios.put(`${API_URL}/api/documents/${item.documentId}`, {
         title: document.title,
         content: updatedContent
+      }, {
+        headers: { 'If-Match': `"${document.revision}"` }
       });
+
+      // Record the AI edit in the document's activity log
+      axios.post(`${API_URL}/api/documents/${item.documentId}/activity`, {
+        type: 'word-edit-accepted',
+        text: decodedSuggestion,
+        highlightedText: decodedTarget,
+        actionItemId: item.id
+      }).catch(error => console.error('Error logging activity:', error));
       
       // Delete the action item
-      await axios.delete(`${API_URL}/api/action-items/${item.originalIndex}`);
+      await axios.delete(`${API_URL}/api/action-items/${item.id}`);
       
       alert('Edit applied successfully!');
       
       // Refresh action items
       onUpdate();
     } catch (error) {
+      if (error.response?.status === 409) {
+        alert('The document was changed while the edit was being applied. Please try again.');
+        return;
+      }
       console.error('Error applying edit:', error);
       alert('Failed to apply edit: ' + error.message);
     }
   };
 
-  const handleComplete = async (index) => {
+  const handleComplete = async (itemId) => {
     try {
-      await axios.patch(`${API_URL}/api/action-items/${index}/complete`);
+      await axios.patch(`${API_URL}/api/action-items/${itemId}/complete`);
       onUpdate();
     } catch (error) {
       console.error('Error completing action item:', error);
     }
   };
 
-  const handleDelete = async (index) => {
+  const handleDelete = async (itemId) => {
     try {
-      await axios.delete(`${API_URL}/api/action-items/${index}`);
+      await axios.delete(`${API_URL}/api/action-items/${itemId}`);
       onUpdate();
     } catch (error) {
       console.error('Error deleting action item:', error);
@@ -293,12 +317,12 @@ function ActionItems({ actionItems, onUpdate }) {
 
   const groupByDocument = () => {
     const grouped = {};
-    actionItems.forEach((item, index) => {
+    actionItems.forEach(item => {
       const docId = item.documentId;
       if (!grouped[docId]) {
         grouped[docId] = [];
       }
-      grouped[docId].push({ ...item, originalIndex: index });
+      grouped[docId].push(item);
     });
     return grouped;
   };
@@ -322,8 +346,9 @@ function ActionItems({ actionItems, onUpdate }) {
             <div className="action-items-container">
               {items.map((item) => (
                 <div
-                  key={item.originalIndex}
-                  className={`action-item ${item.completed ? 'completed' : ''}`}
+                  key={item.id}
+                  data-action-item-id={item.id}
+                  className={`action-item ${item.completed ? 'completed' : ''} ${item.id === highlightedItemId ? 'linked' : ''}`}
                 >
                   <div className="action-item-header">
                     <div className="action-item-main">
@@ -354,12 +379,12 @@ function ActionItems({ actionItems, onUpdate }) {
                       {item.details && (
                         <button
                           className="action-item-btn expand-btn"
-                          onClick={() => toggleExpand(item.originalIndex)}
-                          title={expandedItems[item.originalIndex] ? 'Collapse' : 'Expand'}
+                          onClick={() => toggleExpand(item.id)}
+                          title={expandedItems[item.id] ? 'Collapse' : 'Expand'}
                         >
                           <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
                             <path
-                              d={expandedItems[item.originalIndex] ? "M18 15l-6-6-6 6" : "M6 9l6 6 6-6"}
+                              d={expandedItems[item.id] ? "M18 15l-6-6-6 6" : "M6 9l6 6 6-6"}
                               stroke="currentColor"
                               strokeWidth="2"
                               strokeLinecap="round"
@@ -368,10 +393,10 @@ function ActionItems({ actionItems, onUpdate }) {
                           </svg>
                         </button>
                       )}
-                      {item.isEmailTask && !item.emailDraft && !draftingEmail[item.originalIndex] && (
+                      {item.isEmailTask && !item.emailDraft && !draftingEmail[item.id] && (
                         <button
                           className="action-item-btn draft-email-btn"
-                          onClick={() => handleDraftEmail(item.originalIndex)}
+                          onClick={() => handleDraftEmail(item.id)}
                           title="Draft email"
                         >
                           <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
@@ -379,7 +404,7 @@ function ActionItems({ actionItems, onUpdate }) {
                           </svg>
                         </button>
                       )}
-                      {draftingEmail[item.originalIndex] && (
+                      {draftingEmail[item.id] && (
                         <div className="drafting-spinner">
                           <div className="spinner"></div>
                         </div>
@@ -395,10 +420,10 @@ function ActionItems({ actionItems, onUpdate }) {
                           </svg>
                         </a>
                       )}
-                      {item.isCalendarTask && !item.calendarEvent && !creatingEvent[item.originalIndex] && (
+                      {item.isCalendarTask && !item.calendarEvent && !creatingEvent[item.id] && (
                         <button
                           className="action-item-btn create-event-btn"
-                          onClick={() => handleCreateCalendarEvent(item.originalIndex)}
+                          onClick={() => handleCreateCalendarEvent(item.id)}
                           title="Create calendar event"
                         >
                           <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
@@ -409,7 +434,7 @@ function ActionItems({ actionItems, onUpdate }) {
                           </svg>
                         </button>
                       )}
-                      {creatingEvent[item.originalIndex] && (
+                      {creatingEvent[item.id] && (
                         <div className="creating-spinner">
                           <div className="spinner"></div>
                         </div>
@@ -418,7 +443,7 @@ function ActionItems({ actionItems, onUpdate }) {
                         <>
                           <button
                             className="action-item-btn download-ics-btn"
-                            onClick={() => handleDownloadICS(item.originalIndex)}
+                            onClick={() => handleDownloadICS(item.id)}
                             title="Download .ics file"
                           >
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
@@ -442,10 +467,10 @@ function ActionItems({ actionItems, onUpdate }) {
                           </a>
                         </>
                       )}
-                      {item.isWordEditTask && !item.wordEdit && !generatingEdit[item.originalIndex] && (
+                      {item.isWordEditTask && !item.wordEdit && !generatingEdit[item.id] && (
                         <button
                           className="action-item-btn generate-edit-btn"
-                          onClick={() => handleGenerateWordEdit(item.originalIndex)}
+                          onClick={() => handleGenerateWordEdit(item.id)}
                           title="Generate edit"
                         >
                           <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
@@ -454,7 +479,7 @@ function ActionItems({ actionItems, onUpdate }) {
                           </svg>
                         </button>
                       )}
-                      {generatingEdit[item.originalIndex] && (
+                      {generatingEdit[item.id] && (
                         <div className="generating-spinner">
                           <div className="spinner"></div>
                         </div>
@@ -462,12 +487,12 @@ function ActionItems({ actionItems, onUpdate }) {
                       {item.wordEdit && (
                         <button
                           className="action-item-btn view-edit-btn"
-                          onClick={() => toggleEditExpand(item.originalIndex)}
-                          title={expandedEdits[item.originalIndex] ? 'Hide edit' : 'View edit'}
+                          onClick={() => toggleEditExpand(item.id)}
+                          title={expandedEdits[item.id] ? 'Hide edit' : 'View edit'}
                         >
                           <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
                             <path
-                              d={expandedEdits[item.originalIndex] ? "M18 15l-6-6-6 6" : "M6 9l6 6 6-6"}
+                              d={expandedEdits[item.id] ? "M18 15l-6-6-6 6" : "M6 9l6 6 6-6"}
                               stroke="currentColor"
                               strokeWidth="2"
                               strokeLinecap="round"
@@ -479,7 +504,7 @@ function ActionItems({ actionItems, onUpdate }) {
                       {!item.completed && (
                         <button
                           className="action-item-btn complete-btn"
-                          onClick={() => handleComplete(item.originalIndex)}
+                          onClick={() => handleComplete(item.id)}
                           title="Mark as complete"
                         >
                           <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
@@ -489,7 +514,7 @@ function ActionItems({ actionItems, onUpdate }) {
                       )}
                       <button
                         className="action-item-btn delete-btn"
-                        onClick={() => handleDelete(item.originalIndex)}
+                        onClick={() => handleDelete(item.id)}
                         title="Delete"
                       >
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
@@ -498,12 +523,20 @@ function ActionItems({ actionItems, onUpdate }) {
                       </button>
                     </div>
                   </div>
-                  {expandedItems[item.originalIndex] && item.details && (
+                  {item.source?.type === 'mention' && (
+                    <div className="action-item-source">
+                      Assigned by {item.assignedBy?.name || 'someone'} ·{' '}
+                      <Link to={`/document/${item.documentId}?item=${encodeURIComponent(item.source.itemId)}`}>
+                        View comment
+                      </Link>
+                    </div>
+                  )}
+                  {expandedItems[item.id] && item.details && (
                     <div className="action-item-details">
                       <p>{item.details}</p>
                     </div>
                   )}
-                  {expandedEdits[item.originalIndex] && item.wordEdit && (
+                  {expandedEdits[item.id] && item.wordEdit && (
                     <div className="word-edit-dropdown">
                       <div className="edit-location">
                         <strong>Location:</strong> {item.wordEdit.location}
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import { API_URL } from '../config';
 import ActionItems from './ActionItems';
@@ -7,6 +8,7 @@ import './ActionItemsPage.css';
 function ActionItemsPage({ hamburgerButton }) {
   const [actionItems, setActionItems] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [searchParams] = useSearchParams();
 
   useEffect(() => {
     fetchActionItems();
@@ -55,7 +57,11 @@ function ActionItemsPage({ hamburgerButton }) {
             </p>
           </div>
         ) : (
-          <ActionItems actionItems={actionItems} onUpdate={fetchActionItems} />
+          <ActionItems
+            actionItems={actionItems}
+            onUpdate={fetchActionItems}
+            highlightedItemId={searchParams.get('actionItem')}
+          />
         )}
       </div>
     </div>
@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import './ActivityTimeline.css';
+
+const PAGE_SIZE = 50;
+
+// One line describing an entry, after the actor's name
+const describe = (entry) => {
+  const { details } = entry;
+  switch (entry.type) {
+    case 'create':
+      return 'created the document';
+    case 'save':
+      return 'edited the text';
+    case 'title':
+      return `renamed it from "${details.from}" to "${details.to}"`;
+    case 'restore':
+      return `restored ${details.name ? `"${details.name}"` : `the version from ${new Date(details.createdAt).toLocaleString()}`}`;
+    case 'trash':
+      return 'moved the document to the trash';
+    case 'untrash':
+      return 'restored the document from the trash';
+    case 'tab-item-added':
+      return `added ${details.ai ? 'an AI ' : 'a '}${details.tabName} item`;
+    case 'tab-item-removed':
+      return `removed ${details.ai ? 'an AI ' : 'a '}${details.tabName} item`;
+    case 'edit-applied':
+      return `applied ${details.ai ? 'an AI' : 'a'} suggested edit`;
+    case 'word-edit-accepted':
+      return 'accepted an AI edit from Action Items';
+    default:
+      return entry.type;
+  }
+};
+
+const formatTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * Timeline of who changed the document and when, newest first
+ */
+function ActivityTimeline({ documentId }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [hasMore, setHasMore] = useState(false);
+
+  const fetchEntries = async (before = null) => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/api/documents/${documentId}/activity`, {
+        params: { limit: PAGE_SIZE, ...(before && { before }) }
+      });
+      setEntries(prev => (before ? [...prev, ...response.data] : response.data));
+      setHasMore(response.data.length === PAGE_SIZE);
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries();
+  }, [documentId]);
+
+  if (!loading && entries.length === 0) {
+    return <div className="activity-empty">No activity recorded yet</div>;
+  }
+
+  return (
+    <div className="activity-timeline">
+      <ol className="activity-list">
+        {entries.map(entry => (
+          <li key={entry.id} className={`activity-entry ${entry.details?.ai ? 'ai' : ''}`}>
+            <span className="activity-dot" />
+            <div className="activity-body">
+              <div className="activity-summary">
+                <strong>{entry.actor?.name || 'System'}</strong> {describe(entry)}
+                {entry.details?.ai && <span className="activity-ai-badge">AI</span>}
+              </div>
+              {entry.details?.text && (
+                <div className="activity-excerpt">{entry.details.text}</div>
+              )}
+              <div className="activity-time">{formatTime(entry.createdAt)}</div>
+            </div>
+          </li>
+        ))}
+      </ol>
+      {hasMore && (
+        <button
+          className="activity-more-btn"
+          disabled={loading}
+          onClick={() => fetchEntries(entries[entries.length - 1].createdAt)}
+        >
+          {loading ? 'Loading...' : 'Show older activity'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ActivityTimeline;
@@ -1,11 +1,36 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import { API_URL } from '../config';
+import VersionHistory from './VersionHistory';
+import ActivityTimeline from './ActivityTimeline';
+import RemoteCursors from './RemoteCursors';
+import PresenceAvatars from './PresenceAvatars';
+import ShareDialog from './ShareDialog';
+import MentionSuggestions from './MentionSuggestions';
+import { useAuth } from '../AuthContext';
+import { connectLiveDocument, diffTabs, applyTabOps, shiftTabItems, transformTabOps, transformSelection, newId } from '../collab';
+import { streamAI, partialJSONString } from '../aiStream';
+import { sanitizeHtml } from '../sanitizeHtml';
 import ReactQuill, { Quill } from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import './DocumentEditor.css';
 
+const Delta = Quill.import('delta');
+
+// Autosave delay after the last keystroke, and the shorter one used while editing live
+const SAVE_DELAY_MS = 1000;
+const LIVE_SAVE_DELAY_MS = 250;
+
+// Suggestions shown while typing an @mention
+const MAX_MENTION_SUGGESTIONS = 5;
+
+// The partial @handle right before the caret, or null when not typing a mention
+const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(?:^|\s)@([\w.+-]*)$/);
+  return match ? match[1].toLowerCase() : null;
+};
+
 // Register custom font sizes with Quill
 const Size = Quill.import('attributors/style/size');
 Size.whitelist = ['8px', '9px', '10px', '11px', '12px', '14px', '16px', '18px', '20px', '24px', '28px', '32px', '36px', '48px', '64px', '72px'];
@@ -39,6 +64,8 @@ const TAB_COLORS_DARK = {
 function DocumentEditor() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
   const [docData, setDocData] = useState(null);
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
@@ -51,6 +78,7 @@ function DocumentEditor() {
     edits: []
   });
   const [customTabs, setCustomTabs] = useState([]);
+  const [versions, setVersions] = useState([]); // Version summaries (tabs.versions, managed by the server)
   const [activeTab, setActiveTab] = useState('summary');
   const [activeToolPanel, setActiveToolPanel] = useState(null);
   const [showCommandPalette, setShowCommandPalette] = useState(false);
@@ -61,15 +89,42 @@ function DocumentEditor() {
   const [selectedRange, setSelectedRange] = useState(null);
   const [loadingAI, setLoadingAI] = useState(false);
   const [aiResponse, setAiResponse] = useState('');
+  const [streamingText, setStreamingText] = useState('');
+  const [aiStreaming, setAiStreaming] = useState(false);
+  const aiAbortRef = useRef(null);
   const [newTabName, setNewTabName] = useState('');
   const [newTabShortcut, setNewTabShortcut] = useState('');
   const [activeHighlightId, setActiveHighlightId] = useState(null); // Track which item is currently highlighted
   const [latestItemId, setLatestItemId] = useState(null); // Track the latest created item for scrolling
   const [hiddenHighlightTabs, setHiddenHighlightTabs] = useState(new Set()); // Track which tabs have hidden highlights
+  const [showResolved, setShowResolved] = useState(false); // Whether resolved items are listed in the sidebar
+  const [replyDrafts, setReplyDrafts] = useState({}); // Unsent reply text by item ID
+  const [workspaceUsers, setWorkspaceUsers] = useState([]); // People who can be @mentioned
+  const [mentionQuery, setMentionQuery] = useState(null); // Text after an @ being typed in the command palette
+  const [mentionIndex, setMentionIndex] = useState(0); // Highlighted mention suggestion
+  const [conflictDoc, setConflictDoc] = useState(null); // Server copy returned by a 409 on save
+  const [liveConnected, setLiveConnected] = useState(false); // Whether edits sync live with other editors
+  const [collaborators, setCollaborators] = useState([]); // Other people with the document open, with their cursors
+  const [followingId, setFollowingId] = useState(null); // Collaborator whose cursor the editor scrolls to
+  const [role, setRole] = useState('owner'); // Our access: owner, editor, commenter or viewer
+  const [showShareDialog, setShowShareDialog] = useState(false);
   const saveTimeoutRef = useRef(null);
+  const revisionRef = useRef(null); // Revision of the last copy loaded or saved, sent as If-Match
+  const conflictRef = useRef(false); // Pauses autosave until a conflict is resolved
+  const lastSavedRef = useRef({}); // What the server has (Delta, title, tabs), so saves only send changes
+  const saveQueueRef = useRef(Promise.resolve()); // Saves run one at a time, each on top of the last revision
+  const liveRef = useRef(null); // Live editing session (see ../collab.js)
+  const liveHandlersRef = useRef({}); // Live message handlers from the latest render
+  const checkingLiveRef = useRef(false); // A refused live connection is being looked into
+  const latestRef = useRef({ title: '', tabs: {}, customTabs: [] }); // Current title and tabs, for callbacks that outlive a render
+  const roleRef = useRef('owner');
   const quillRef = useRef(null);
+  // Commenters can highlight and comment but not change the text; viewers can only read
+  const canEditText = role === 'owner' || role === 'editor';
+  const canComment = canEditText || role === 'commenter';
   const commandInputRef = useRef(null);
   const latestItemRef = useRef(null);
+  const linkedItemShownRef = useRef(false); // Whether the tab item in ?item= has been scrolled to
 
   // Generate color for custom tab based on tab ID
   const getTabColor = (tabId, isDark = false) => {
@@ -139,6 +194,144 @@ function DocumentEditor() {
     };
   }, [id]);
 
+  useEffect(() => {
+    latestRef.current = { title, tabs, customTabs };
+  }, [title, tabs, customTabs]);
+
+  useEffect(() => {
+    roleRef.current = role;
+  }, [role]);
+
+  // Documents loaded from HTML get their Delta uploaded once the editor has rendered them. This
+  // runs once per load; after that (or after a failed save) edits go through the autosave delay.
+  useEffect(() => {
+    if (!loading && canEditText && !lastSavedRef.current.delta) {
+      saveDocument(latestRef.current.title);
+    }
+  }, [loading, docData, canEditText]);
+
+  // Live editing: edits from other people's editors are merged into this one as they happen
+  useEffect(() => {
+    if (loading) return;
+
+    const session = connectLiveDocument(id, {
+      onInit: (...args) => liveHandlersRef.current.onInit(...args),
+      onRemoteChange: (...args) => liveHandlersRef.current.onRemoteChange(...args),
+      onAck: (...args) => liveHandlersRef.current.onAck(...args),
+      onStatusChange: setLiveConnected,
+      onPresence: setCollaborators,
+      onConnectFailed: () => liveHandlersRef.current.onConnectFailed()
+    });
+    liveRef.current = session;
+
+    return () => {
+      session.close();
+      liveRef.current = null;
+      setLiveConnected(false);
+    };
+  }, [id, loading]);
+
+  // Share our cursor, and keep other people's cursors in place as the text changes
+  useEffect(() => {
+    const quill = quillRef.current?.getEditor();
+    if (!quill || loading) return;
+
+    let lastSelection = null;
+    const handleEditorChange = (eventName, delta) => {
+      if (eventName === 'text-change') {
+        setCollaborators(prev => prev.map(collaborator => (collaborator.selection
+          ? { ...collaborator, selection: transformSelection(collaborator.selection, delta) }
+          : collaborator)));
+      }
+      const range = quill.hasFocus() ? quill.getSelection() : null;
+      const selection = range ? { index: range.index, length: range.length } : null;
+      if (JSON.stringify(selection) !== JSON.stringify(lastSelection)) {
+        lastSelection = selection;
+        liveRef.current?.updatePresence(selection);
+      }
+    };
+
+    quill.on('editor-change', handleEditorChange);
+    return () => {
+      quill.off('editor-change', handleEditorChange);
+    };
+  }, [loading]);
+
+  // Following mode: keep the followed collaborator's cursor in view
+  useEffect(() => {
+    if (!followingId) return;
+    if (!collaborators.some(collaborator => collaborator.clientId === followingId)) {
+      setFollowingId(null);
+      return;
+    }
+    const caret = document.querySelector(`.remote-caret[data-client-id="${followingId}"]`);
+    if (caret) {
+      caret.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [followingId, collaborators]);
+
+  // Load the people who can be mentioned the first time the command palette opens
+  useEffect(() => {
+    if (!showCommandPalette || workspaceUsers.length > 0) return;
+
+    axios.get(`${API_URL}/api/users`)
+      .then(response => setWorkspaceUsers(response.data))
+      .catch(error => console.error('Error fetching users:', error));
+  }, [showCommandPalette, workspaceUsers.length]);
+
+  const mentionSuggestions = mentionQuery === null ? [] : workspaceUsers
+    .filter(u => u.id !== user.id && (u.handle.startsWith(mentionQuery) || u.name.toLowerCase().includes(mentionQuery)))
+    .slice(0, MAX_MENTION_SUGGESTIONS);
+
+  // Replace the partial @handle before the caret with the chosen person's handle
+  const insertMention = (mentioned) => {
+    const input = commandInputRef.current;
+    const caret = input ? input.selectionStart : commandInput.length;
+    const before = commandInput.slice(0, caret).replace(/@[\w.+-]*$/, `@${mentioned.handle} `);
+    const nextInput = before + commandInput.slice(caret);
+
+    setCommandInput(nextInput);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const handleCommandKeyDown = (e) => {
+    if (mentionSuggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex(index => (index + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      // Close the suggestions, not the palette
+      e.stopPropagation();
+      setMentionQuery(null);
+    }
+  };
+
+  // Open the tab item linked from an action item (/document/:id?item=...)
+  useEffect(() => {
+    const itemId = searchParams.get('item');
+    if (loading || !itemId || linkedItemShownRef.current) return;
+    linkedItemShownRef.current = true;
+
+    const allItems = [...Object.values(tabs).flat(), ...customTabs.flatMap(t => t.items)];
+    const item = allItems.find(i => i.id === itemId);
+    if (!item) return;
+
+    setActiveTab(item.tabId);
+    if (!item.resolved) {
+      // Wait for the highlights to be restored first
+      setTimeout(() => handleScrollToHighlight(item), 150);
+    }
+  }, [loading, searchParams, tabs, customTabs]);
+
   // Restore highlights when document loads or tabs change
   useEffect(() => {
     const quill = quillRef.current?.getEditor();
@@ -154,7 +347,7 @@ function DocumentEditor() {
 
       // Re-apply all highlights
       allItems.forEach(item => {
-        if (item.position !== undefined && item.length && !hiddenHighlightTabs.has(item.tabId)) {
+        if (item.position !== undefined && item.length && !item.resolved && !hiddenHighlightTabs.has(item.tabId)) {
           const lightColor = getTabColor(item.tabId, false);
           quill.formatText(item.position, item.length, 'background', lightColor);
         }
@@ -223,24 +416,44 @@ function DocumentEditor() {
     }
   };
 
+  // Load a server copy of the document into the editor
+  const loadDocumentData = (data) => {
+    setDocData(data);
+    if (data.role) {
+      setRole(data.role);
+      roleRef.current = data.role;
+    }
+    setTitle(data.title);
+    // Prefer the canonical Delta; documents that never had one are loaded from HTML
+    setContent(data.delta ? { ops: data.delta } : data.content);
+    revisionRef.current = data.revision;
+    lastSavedRef.current = {
+      delta: data.delta ? new Delta(data.delta) : null,
+      title: data.title,
+      tabs: {},
+      customTabs: data.customTabs || []
+    };
+    // Load tabs if they exist (versions are kept apart since they have no highlights)
+    if (data.tabs) {
+      const { versions: docVersions = [], ...docTabs } = data.tabs;
+      setTabs(docTabs);
+      setVersions(docVersions);
+      lastSavedRef.current.tabs = docTabs;
+    }
+    // Load custom tabs if they exist
+    if (data.customTabs) {
+      console.log('Loading custom tabs from document:', data.customTabs);
+      setCustomTabs(data.customTabs);
+    } else {
+      console.log('No custom tabs found in document');
+    }
+  };
+
   const fetchDocument = async () => {
     try {
       const response = await axios.get(`${API_URL}/api/documents/${id}`);
       console.log('Fetched document:', response.data);
-      setDocData(response.data);
-      setTitle(response.data.title);
-      setContent(response.data.content);
-      // Load tabs if they exist
-      if (response.data.tabs) {
-        setTabs(response.data.tabs);
-      }
-      // Load custom tabs if they exist
-      if (response.data.customTabs) {
-        console.log('Loading custom tabs from document:', response.data.customTabs);
-        setCustomTabs(response.data.customTabs);
-      } else {
-        console.log('No custom tabs found in document');
-      }
+      loadDocumentData(response.data);
       setLoading(false);
     } catch (error) {
       console.error('Error fetching document:', error);
@@ -248,22 +461,263 @@ function DocumentEditor() {
     }
   };
 
-  const saveDocument = async (newTitle, newContent, newTabs = tabs, newCustomTabs = customTabs) => {
+  // Content is read from the editor when the save runs, so only the title and tabs are passed in
+  const saveDocument = (newTitle, newTabs = latestRef.current.tabs, newCustomTabs = latestRef.current.customTabs) => {
+    const save = saveQueueRef.current.then(() => sendSave(newTitle, newTabs, newCustomTabs));
+    saveQueueRef.current = save;
+    return save;
+  };
+
+  const sendSave = async (newTitle, newTabs, newCustomTabs) => {
+    // Don't save over the other copy while the user is deciding what to keep
+    if (conflictRef.current || roleRef.current === 'viewer') return;
+    const quill = quillRef.current?.getEditor();
+    if (!quill) return;
+
+    const currentDelta = quill.getContents();
+    const lastSaved = lastSavedRef.current;
+    const live = liveRef.current;
+
+    // Live editing: send what changed since the last sync over the socket
+    if (lastSaved.delta && live?.hasConnected()) {
+      // While reconnecting, changes stay in the editor and are sent after the next 'init'
+      if (!live.isConnected()) return;
+
+      const change = {
+        delta: lastSaved.delta.diff(currentDelta),
+        tabOps: diffTabs(lastSaved, { tabs: newTabs, customTabs: newCustomTabs })
+      };
+      if (newTitle !== lastSaved.title) change.title = newTitle;
+      if (change.delta.ops.length === 0 && change.tabOps.length === 0 && change.title === undefined) return;
+
+      live.submit(change);
+      lastSavedRef.current = { delta: currentDelta, title: newTitle, tabs: newTabs, customTabs: newCustomTabs };
+      setSaving(true);
+      return;
+    }
+
+    const headers = revisionRef.current ? { 'If-Match': `"${revisionRef.current}"` } : {};
+    const canUpload = roleRef.current === 'owner' || roleRef.current === 'editor';
+
     setSaving(true);
     try {
-      await axios.put(`${API_URL}/api/documents/${id}`, {
+      if (lastSaved.delta) {
+        // Incremental save: only the Delta ops since the last save, plus whatever else changed
+        const changes = { ops: lastSaved.delta.diff(currentDelta).ops };
+        if (newTitle !== lastSaved.title) changes.title = newTitle;
+        if (JSON.stringify(newTabs) !== JSON.stringify(lastSaved.tabs)) changes.tabs = newTabs;
+        if (JSON.stringify(newCustomTabs) !== JSON.stringify(lastSaved.customTabs)) changes.customTabs = newCustomTabs;
+
+        if (changes.ops.length === 0 && Object.keys(changes).length === 1) {
+          setSaving(false);
+          return;
+        }
+
+        const response = await axios.patch(`${API_URL}/api/documents/${id}`, changes, { headers });
+        revisionRef.current = response.data.revision;
+        setVersions(response.data.versions || []);
+      } else {
+        // No Delta on the server yet: send the whole document once. Commenters can't change
+        // the text, so theirs goes without it and the next save is a whole one again.
+        const response = await axios.put(`${API_URL}/api/documents/${id}`, {
+          title: newTitle,
+          ...(canUpload && { delta: currentDelta.ops }),
+          tabs: newTabs,
+          customTabs: newCustomTabs
+        }, { headers });
+        revisionRef.current = response.data.revision;
+        setVersions(response.data.tabs?.versions || []);
+      }
+
+      lastSavedRef.current = {
+        delta: lastSaved.delta || canUpload ? currentDelta : null,
         title: newTitle,
-        content: newContent,
         tabs: newTabs,
         customTabs: newCustomTabs
-      });
+      };
       setSaving(false);
     } catch (error) {
-      console.error('Error saving document:', error);
+      if (error.response?.status === 409) {
+        // Someone else saved first (another tab, or an accepted edit from Action Items)
+        conflictRef.current = true;
+        setConflictDoc(error.response.data.document);
+      } else if (error.response?.status === 403) {
+        // Our access changed (or never allowed this edit): undo it by loading the server copy
+        alert(error.response.data.error);
+        fetchDocument();
+      } else {
+        console.error('Error saving document:', error);
+        // Fall back to a full save next time in case the server's copy no longer matches ours
+        lastSavedRef.current = { ...lastSaved, delta: null };
+      }
       setSaving(false);
     }
   };
 
+  // Live editing handlers; they read state through refs since messages can arrive between renders
+  liveHandlersRef.current = {
+    // Sent on every (re)connect with the server's copy. After a reconnect, `unsent` has the
+    // changes the server never got and the copy they were made against (see collab.js).
+    onInit: (liveDoc, unsent) => {
+      const quill = quillRef.current?.getEditor();
+      if (!quill) return;
+      const { versions: docVersions = [], ...docTabs } = liveDoc.tabs || {};
+      const docCustomTabs = liveDoc.customTabs || [];
+      setRole(liveDoc.role);
+      roleRef.current = liveDoc.role;
+
+      const lastSaved = lastSavedRef.current;
+      const serverDelta = new Delta(liveDoc.delta);
+      // Our edits were made against the copy from before the reconnect, or the one loaded over HTTP
+      const base = unsent?.base || lastSaved.delta;
+      // A copy converted from the server's HTML isn't on the server as a Delta, so the next save sends it whole
+      lastSavedRef.current = { delta: liveDoc.fromHtml ? null : serverDelta, title: liveDoc.title, tabs: docTabs, customTabs: docCustomTabs };
+
+      if (!base) {
+        // Nothing to rebase onto: take the server copy
+        quill.setContents(serverDelta, 'api');
+        latestRef.current = { title: liveDoc.title, tabs: docTabs, customTabs: docCustomTabs };
+        setTitle(liveDoc.title);
+        setTabs(docTabs);
+        setCustomTabs(docCustomTabs);
+      } else {
+        // Local edits the server doesn't have (unconfirmed or not sent yet) go on top of its copy,
+        // the same way a remote change is merged with edits in progress
+        const editorDelta = quill.getContents();
+        const local = base.diff(editorDelta);
+        const remote = base.diff(serverDelta);
+        const forEditor = local.transform(remote, false);
+        const localAfter = remote.transform(local, true);
+        const localTabOps = [
+          ...transformTabOps(unsent?.tabOps || [], lastSaved.delta ? lastSaved.delta.diff(editorDelta) : new Delta()),
+          ...diffTabs(lastSaved, latestRef.current)
+        ];
+        quill.updateContents(forEditor, 'api');
+
+        const shifted = shiftTabItems(docTabs, docCustomTabs, localAfter, (index, length) => quill.getText(index, length));
+        const merged = applyTabOps(shifted.tabs, shifted.customTabs, transformTabOps(localTabOps, forEditor));
+        // A title changed here and not confirmed yet stays ours
+        const keepTitle = unsent?.title !== undefined || latestRef.current.title !== lastSaved.title;
+        const nextTitle = keepTitle ? latestRef.current.title : liveDoc.title;
+        latestRef.current = { title: nextTitle, ...merged };
+        setTitle(nextTitle);
+        setTabs(merged.tabs);
+        setCustomTabs(merged.customTabs);
+      }
+      setVersions(docVersions);
+      revisionRef.current = liveDoc.revision;
+      // Send what the server is missing
+      saveDocument(latestRef.current.title);
+    },
+
+    // The server turns the live channel down for documents it has no Delta for, which an HTML
+    // save (an accepted word edit, an older client) leaves behind. If that's why, the new copy
+    // is taken over HTTP and our unsent edits are rebased onto it and saved, as on a reconnect.
+    onConnectFailed: async () => {
+      if (conflictRef.current || checkingLiveRef.current) return;
+      checkingLiveRef.current = true;
+      try {
+        const { data } = await axios.get(`${API_URL}/api/documents/${id}`);
+        const quill = quillRef.current?.getEditor();
+        const live = liveRef.current;
+        if (!quill || !live || data.delta || data.revision === revisionRef.current) return;
+
+        const serverDelta = quill.clipboard.convert(sanitizeHtml(data.content));
+        liveHandlersRef.current.onInit({ ...data, delta: serverDelta.ops, fromHtml: true }, live.takeUnsent());
+      } catch (error) {
+        // Offline too; the live channel keeps retrying
+      } finally {
+        checkingLiveRef.current = false;
+      }
+    },
+
+    onRemoteChange: (change, revision) => {
+      const quill = quillRef.current?.getEditor();
+      const lastSaved = lastSavedRef.current;
+      // A restore just replaced the document; the server asks everyone to resync
+      if (!quill || !lastSaved.delta) return;
+
+      // Local edits not sent yet stay in the editor, so the remote change goes on top of them
+      const pending = lastSaved.delta.diff(quill.getContents());
+      const forEditor = pending.transform(change.delta, false);
+      const pendingAfter = change.delta.transform(pending, true);
+      lastSavedRef.current = {
+        ...lastSaved,
+        delta: lastSaved.delta.compose(change.delta),
+        ...applyTabOps(lastSaved.tabs, lastSaved.customTabs, change.tabOps)
+      };
+      quill.updateContents(forEditor, 'api');
+
+      const current = latestRef.current;
+      const shifted = shiftTabItems(current.tabs, current.customTabs, forEditor, (index, length) => quill.getText(index, length));
+      const merged = applyTabOps(shifted.tabs, shifted.customTabs, transformTabOps(change.tabOps, pendingAfter));
+      latestRef.current = { ...current, ...merged };
+      setTabs(merged.tabs);
+      setCustomTabs(merged.customTabs);
+
+      if (change.title !== undefined) {
+        lastSavedRef.current.title = change.title;
+        latestRef.current.title = change.title;
+        setTitle(change.title);
+      }
+      revisionRef.current = revision;
+    },
+
+    onAck: (revision, settled) => {
+      revisionRef.current = revision;
+      if (settled) setSaving(false);
+    }
+  };
+
+  // Conflict: throw away local changes and load the copy on the server
+  const handleReloadServerCopy = () => {
+    if (saveTimeoutRef.current) {
+      clearTimeout(saveTimeoutRef.current);
+      saveTimeoutRef.current = null;
+    }
+    loadDocumentData(conflictDoc);
+    conflictRef.current = false;
+    setConflictDoc(null);
+  };
+
+  // Conflict: keep both sets of changes. Their copy is applied as a remote change against the
+  // last copy we both had (a three-way merge, as with live edits), then ours is saved on top.
+  const handleMergeCopies = () => {
+    const quill = quillRef.current?.getEditor();
+    const base = lastSavedRef.current;
+    if (!quill || !base.delta) return;
+
+    const { versions: theirVersions = [], ...theirTabs } = conflictDoc.tabs || {};
+    // A copy restored from history or saved by an older client has only HTML
+    const theirDelta = conflictDoc.delta
+      ? new Delta(conflictDoc.delta)
+      : quill.clipboard.convert(sanitizeHtml(conflictDoc.content));
+    const change = {
+      delta: base.delta.diff(theirDelta),
+      tabOps: diffTabs(base, { tabs: theirTabs, customTabs: conflictDoc.customTabs || [] })
+    };
+    // A title only we changed stays ours
+    if (conflictDoc.title !== base.title && latestRef.current.title === base.title) {
+      change.title = conflictDoc.title;
+    }
+    liveHandlersRef.current.onRemoteChange(change, conflictDoc.revision);
+    setVersions(theirVersions);
+
+    conflictRef.current = false;
+    setConflictDoc(null);
+    saveDocument(latestRef.current.title);
+  };
+
+  // Conflict: save the local copy on top of the server one (it stays recoverable from version history)
+  const handleKeepLocalCopy = () => {
+    revisionRef.current = conflictDoc.revision;
+    // Our changes were made against an older copy, so send the whole document
+    lastSavedRef.current = { ...lastSavedRef.current, delta: null };
+    conflictRef.current = false;
+    setConflictDoc(null);
+    saveDocument(title, tabs, customTabs);
+  };
+
   const handleTitleChange = (e) => {
     const newTitle = e.target.value;
     setTitle(newTitle);
@@ -272,20 +726,42 @@ function DocumentEditor() {
       clearTimeout(saveTimeoutRef.current);
     }
     saveTimeoutRef.current = setTimeout(() => {
-      saveDocument(newTitle, content);
-    }, 1000);
+      saveDocument(newTitle);
+    }, liveRef.current?.isConnected() ? LIVE_SAVE_DELAY_MS : SAVE_DELAY_MS);
   };
 
   const handleContentChange = (value) => {
     setContent(value);
 
-    // Auto-save after 1 second of inactivity
+    // Auto-save after a moment of inactivity (sooner when others see the edits live)
     if (saveTimeoutRef.current) {
       clearTimeout(saveTimeoutRef.current);
     }
     saveTimeoutRef.current = setTimeout(() => {
-      saveDocument(title, value);
-    }, 1000);
+      saveDocument(latestRef.current.title);
+    }, liveRef.current?.isConnected() ? LIVE_SAVE_DELAY_MS : SAVE_DELAY_MS);
+  };
+
+  // Save a named checkpoint, flushing any pending autosave first so it captures the latest text
+  const handleCreateCheckpoint = async (name) => {
+    if (saveTimeoutRef.current) {
+      clearTimeout(saveTimeoutRef.current);
+      saveTimeoutRef.current = null;
+    }
+    await saveDocument(title);
+    await axios.post(`${API_URL}/api/documents/${id}/versions`, { name });
+    const response = await axios.get(`${API_URL}/api/documents/${id}/versions`);
+    setVersions(response.data);
+  };
+
+  // Restore a version and load it into the editor
+  const handleRestoreVersion = async (version) => {
+    if (saveTimeoutRef.current) {
+      clearTimeout(saveTimeoutRef.current);
+      saveTimeoutRef.current = null;
+    }
+    const response = await axios.post(`${API_URL}/api/documents/${id}/versions/${version.id}/restore`);
+    loadDocumentData(response.data);
   };
 
   // Create custom tab
@@ -311,20 +787,20 @@ function DocumentEditor() {
 
     const updatedCustomTabs = [...customTabs, newCustomTab];
     setCustomTabs(updatedCustomTabs);
-    saveDocument(title, content, tabs, updatedCustomTabs);
+    saveDocument(title, tabs, updatedCustomTabs);
 
     // Reset form
     setNewTabName('');
     setNewTabShortcut('');
     setShowCustomTabModal(false);
-  }, [newTabName, newTabShortcut, customTabs, title, content, tabs]);
+  }, [newTabName, newTabShortcut, customTabs, title, tabs]);
 
   // Delete custom tab
   const handleDeleteCustomTab = useCallback((tabId) => {
     const updatedCustomTabs = customTabs.filter(t => t.id !== tabId);
     setCustomTabs(updatedCustomTabs);
-    saveDocument(title, content, tabs, updatedCustomTabs);
-  }, [customTabs, title, content, tabs]);
+    saveDocument(title, tabs, updatedCustomTabs);
+  }, [customTabs, title, tabs]);
 
   // Clear all highlights from the document
   const handleClearAllHighlights = useCallback(() => {
@@ -335,7 +811,7 @@ function DocumentEditor() {
     // Remove all background formatting
     quill.formatText(0, length, 'background', false);
     setContent(quill.root.innerHTML);
-    saveDocument(title, quill.root.innerHTML, tabs, customTabs);
+    saveDocument(title, tabs, customTabs);
   }, [title, tabs, customTabs]);
 
   // Toggle highlights visibility for a specific tab
@@ -352,7 +828,7 @@ function DocumentEditor() {
 
     if (isCurrentlyHidden) {
       // Show highlights - restore light colors
-      items.forEach(item => {
+      items.filter(item => !item.resolved).forEach(item => {
         const lightColor = getTabColor(item.tabId || tabId, false);
         quill.formatText(item.position, item.length, 'background', lightColor);
       });
@@ -369,6 +845,26 @@ function DocumentEditor() {
     setContent(quill.root.innerHTML);
   }, [hiddenHighlightTabs, tabs, customTabs, getTabColor]);
 
+  // Create action items for everyone a comment mentions
+  const assignMentions = useCallback(async (item) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/documents/${id}/mentions`, {
+        tabId: item.tabId,
+        itemId: item.id,
+        text: item.prompt,
+        highlightedText: item.highlightedText,
+        position: item.position,
+        length: item.length
+      });
+      const { skipped } = response.data;
+      if (skipped.length > 0) {
+        alert(`${skipped.map(u => u.name).join(', ')} can't open this document, so the comment wasn't assigned to them. Share the document first.`);
+      }
+    } catch (error) {
+      console.error('Error assigning mentions:', error);
+    }
+  }, [id]);
+
   // Process command input
   const handleCommandSubmit = useCallback(async (e) => {
     if (e) e.preventDefault();
@@ -473,33 +969,59 @@ function DocumentEditor() {
       if (useAI) {
         isAIGenerated = true;
 
+        // The reply streams into the palette; Stop (or closing the palette) aborts it
+        const controller = new AbortController();
+        aiAbortRef.current = controller;
+        setStreamingText('');
+        setAiStreaming(true);
+
         try {
           if (tabName === 'edits') {
-            // Call the edit API for edit commands
-            const response = await axios.post(`${API_URL}/api/ai/process-edit`, {
+            // Call the edit API for edit commands, showing the edited text as it arrives
+            let rawReply = '';
+            const result = await streamAI('/api/ai/process-edit/stream', {
               originalText: selectedText,
-              editInstruction: customPrompt || 'improve this text'
+              editInstruction: customPrompt || 'improve this text',
+              documentId: id
+            }, {
+              signal: controller.signal,
+              onToken: (text) => {
+                rawReply += text;
+                setStreamingText(partialJSONString(rawReply, 'editedText'));
+              }
             });
 
-            editedText = response.data.editedText;
-            explanation = response.data.explanation;
+            editedText = result.editedText;
+            explanation = result.explanation;
             resultText = editedText;
             setAiResponse(explanation);
           } else {
             // Call the regular AI API for other commands
-            const response = await axios.post(`${API_URL}/api/ai/process-command`, {
+            const result = await streamAI('/api/ai/process-command/stream', {
               highlightedText: selectedText,
               tabType: tabName,
-              customPrompt: customPrompt || ''
+              customPrompt: customPrompt || '',
+              documentId: id
+            }, {
+              signal: controller.signal,
+              onToken: (text) => setStreamingText(previous => previous + text)
             });
 
-            resultText = response.data.response;
+            resultText = result.response;
             setAiResponse(resultText);
           }
         } catch (error) {
+          if (controller.signal.aborted) {
+            // Stopped by the user: nothing is added and the palette stays open
+            setStreamingText('');
+            return;
+          }
           console.error('Error calling AI API:', error);
           resultText = 'Error: Failed to process AI command. Please try again.';
           setAiResponse(resultText);
+        } finally {
+          aiAbortRef.current = null;
+          setAiStreaming(false);
         }
       }
 
@@ -512,6 +1034,8 @@ function DocumentEditor() {
         position: selectedRange.index,
         length: selectedRange.length,
         createdAt: new Date().toISOString(),
+        author: { id: user.id, name: user.name },
+        replies: [],
         isAIGenerated,
         isManualComment: !useAI && customPrompt,  // Flag for manual comments
         tabId: tabName,
@@ -545,7 +1069,7 @@ function DocumentEditor() {
         setCustomTabs(updatedCustomTabs);
         setActiveTab(tabName);
         setLatestItemId(newItem.id); // Set latest item for scrolling
-        saveDocument(title, quill.root.innerHTML, tabs, updatedCustomTabs);
+        saveDocument(title, tabs, updatedCustomTabs);
       } else {
         // Add to built-in tab
         console.log('Adding to built-in tab:', tabName);
@@ -558,21 +1082,27 @@ function DocumentEditor() {
         setTabs(updatedTabs);
         setActiveTab(tabName);
         setLatestItemId(newItem.id); // Set latest item for scrolling
-        saveDocument(title, quill.root.innerHTML, updatedTabs, customTabs);
+        saveDocument(title, updatedTabs, customTabs);
+      }
+
+      // Assign manual comments to the people they @mention
+      if (newItem.isManualComment && customPrompt.includes('@')) {
+        assignMentions(newItem);
       }
 
-      // Close palette after short delay to show AI response
+      // Close palette after a short delay to show it was added (AI replies were already shown as they streamed in)
       setTimeout(() => {
         setShowCommandPalette(false);
         setCommandInput('');
         setAiResponse('');
+        setStreamingText('');
 
         // Restore selection for aesthetic purposes
         const quill = quillRef.current?.getEditor();
         if (quill && selectedRange) {
           quill.setSelection(selectedRange.index, selectedRange.length);
         }
-      }, useAI ? 2000 : 500);
+      }, 500);
 
     } catch (error) {
       console.error('Error processing command:', error);
@@ -580,7 +1110,7 @@ function DocumentEditor() {
     } finally {
       setLoadingAI(false);
     }
-  }, [commandInput, selectedText, selectedRange, tabs, customTabs, title, content, getTabColor]);
+  }, [commandInput, selectedText, selectedRange, tabs, customTabs, title, content, getTabColor, user, assignMentions, id]);
 
   // Apply edit to document
   const handleApplyEdit = useCallback((editId) => {
@@ -598,6 +1128,13 @@ function DocumentEditor() {
     // Remove the highlight
     quill.formatText(edit.position, textToInsert.length, 'background', false);
 
+    axios.post(`${API_URL}/api/documents/${id}/activity`, {
+      type: 'edit-applied',
+      text: textToInsert,
+      highlightedText: edit.originalText || edit.highlightedText,
+      ai: Boolean(edit.isAIGenerated)
+    }).catch(error => console.error('Error logging activity:', error));
+
     // Update content
     setContent(quill.root.innerHTML);
 
@@ -608,8 +1145,8 @@ function DocumentEditor() {
     };
 
     setTabs(updatedTabs);
-    saveDocument(title, quill.root.innerHTML, updatedTabs, customTabs);
-  }, [tabs, title, customTabs]);
+    saveDocument(title, updatedTabs, customTabs);
+  }, [id, tabs, title, customTabs]);
 
   // Delete a tab item and remove its highlight
   const handleDeleteTabItem = useCallback((item, tabId) => {
@@ -642,7 +1179,7 @@ function DocumentEditor() {
         return t;
       });
       setCustomTabs(updatedCustomTabs);
-      saveDocument(title, quill.root.innerHTML, tabs, updatedCustomTabs);
+      saveDocument(title, tabs, updatedCustomTabs);
     } else {
       // Remove from built-in tab
       const updatedTabs = {
@@ -650,10 +1187,63 @@ function DocumentEditor() {
         [tabId]: tabs[tabId].filter(i => i.id !== item.id)
       };
       setTabs(updatedTabs);
-      saveDocument(title, quill.root.innerHTML, updatedTabs, customTabs);
+      saveDocument(title, updatedTabs, customTabs);
     }
   }, [tabs, customTabs, title, activeHighlightId]);
 
+  // Replace one tab item and save
+  const updateTabItem = useCallback((itemId, tabId, update) => {
+    const customTab = customTabs.find(t => t.id === tabId);
+    if (customTab) {
+      const updatedCustomTabs = customTabs.map(t => (
+        t.id === tabId ? { ...t, items: t.items.map(i => (i.id === itemId ? update(i) : i)) } : t
+      ));
+      setCustomTabs(updatedCustomTabs);
+      saveDocument(title, tabs, updatedCustomTabs);
+    } else {
+      const updatedTabs = {
+        ...tabs,
+        [tabId]: tabs[tabId].map(i => (i.id === itemId ? update(i) : i))
+      };
+      setTabs(updatedTabs);
+      saveDocument(title, updatedTabs, customTabs);
+    }
+  }, [tabs, customTabs, title]);
+
+  // Add a reply to a tab item's thread
+  const handleReply = useCallback((item, tabId) => {
+    const text = (replyDrafts[item.id] || '').trim();
+    if (!text) return;
+
+    const reply = {
+      id: newId(),
+      author: { id: user.id, name: user.name },
+      text,
+      createdAt: new Date().toISOString()
+    };
+    updateTabItem(item.id, tabId, i => ({ ...i, replies: [...(i.replies || []), reply] }));
+    setReplyDrafts(drafts => ({ ...drafts, [item.id]: '' }));
+  }, [replyDrafts, user, updateTabItem]);
+
+  // Resolve a tab item (hiding its highlight) or reopen it
+  const handleToggleResolved = useCallback((item, tabId) => {
+    const quill = quillRef.current?.getEditor();
+    if (quill && item.position !== undefined && item.length) {
+      const background = item.resolved && !hiddenHighlightTabs.has(tabId) ? getTabColor(item.tabId || tabId, false) : false;
+      quill.formatText(item.position, item.length, 'background', background);
+      setContent(quill.root.innerHTML);
+    }
+
+    if (activeHighlightId === item.id) {
+      setActiveHighlightId(null);
+      document.querySelector('.highlight-indicator')?.remove();
+    }
+
+    updateTabItem(item.id, tabId, i => (i.resolved
+      ? { ...i, resolved: false, resolvedAt: null, resolvedBy: null }
+      : { ...i, resolved: true, resolvedAt: new Date().toISOString(), resolvedBy: { id: user.id, name: user.name } }));
+  }, [hiddenHighlightTabs, activeHighlightId, getTabColor, user, updateTabItem]);
+
   // Scroll to highlighted text when clicking on tab item
   const handleScrollToHighlight = useCallback((item) => {
     console.log('Scrolling to highlight:', item);
@@ -1004,7 +1594,7 @@ function DocumentEditor() {
         if (highlightsChanged) {
           setTabs(updatedTabs);
           setCustomTabs(updatedCustomTabs);
-          saveDocument(title, quill.root.innerHTML, updatedTabs, updatedCustomTabs);
+          saveDocument(title, updatedTabs, updatedCustomTabs);
         }
       }
 
@@ -1086,7 +1676,7 @@ function DocumentEditor() {
         if (highlightsChanged) {
           setTabs(updatedTabs);
           setCustomTabs(updatedCustomTabs);
-          saveDocument(title, quill.root.innerHTML, updatedTabs, updatedCustomTabs);
+          saveDocument(title, updatedTabs, updatedCustomTabs);
         }
       }
     };
@@ -1166,6 +1756,9 @@ function DocumentEditor() {
     }
   }, [showCommandPalette]);
 
+  // Stop any AI reply still streaming when leaving the editor
+  useEffect(() => () => aiAbortRef.current?.abort(), []);
+
   // Click away handler to close command palette
   useEffect(() => {
     if (!showCommandPalette) return;
@@ -1174,10 +1767,12 @@ function DocumentEditor() {
       // Check if click is outside the command palette
       const palette = document.querySelector('.command-palette');
       if (palette && !palette.contains(e.target)) {
-        // Close the palette
+        // Close the palette, stopping any AI reply still streaming in
+        aiAbortRef.current?.abort();
         setShowCommandPalette(false);
         setCommandInput('');
         setAiResponse('');
+        setStreamingText('');
 
         // Remove any temporary highlight
         const quill = quillRef.current?.getEditor();
@@ -1205,6 +1800,7 @@ function DocumentEditor() {
       // Cmd/Ctrl + \ to remove all formatting
       if ((e.metaKey || e.ctrlKey) && e.key === '\\') {
         e.preventDefault();
+        if (!canEditText) return;
 
         const quill = quillRef.current?.getEditor();
         if (!quill) return;
@@ -1232,14 +1828,15 @@ function DocumentEditor() {
         // Restore selection
         quill.setSelection(selection.index, selection.length);
         setContent(quill.root.innerHTML);
-        saveDocument(title, quill.root.innerHTML, tabs, customTabs);
+        saveDocument(title, tabs, customTabs);
 
         return;
       }
 
-      // Cmd/Ctrl + E to show command palette
+      // Cmd/Ctrl + E to show command palette (not for viewers)
       if ((e.metaKey || e.ctrlKey) && e.key === 'e') {
         e.preventDefault();
+        if (!canComment) return;
 
         const quill = quillRef.current?.getEditor();
         if (!quill) return;
@@ -1269,6 +1866,7 @@ function DocumentEditor() {
         setCommandPosition(adjustedPosition);
         setShowCommandPalette(true);
         setCommandInput('');
+        setMentionQuery(null);
         setAiResponse('');
       }
 
@@ -1282,9 +1880,11 @@ function DocumentEditor() {
             quill.formatText(selectedRange.index, selectedRange.length, 'background', false);
             setContent(quill.root.innerHTML);
           }
+          aiAbortRef.current?.abort();
           setShowCommandPalette(false);
           setCommandInput('');
           setAiResponse('');
+          setStreamingText('');
         } else if (activeToolPanel) {
           setActiveToolPanel(null);
         }
@@ -1295,7 +1895,7 @@ function DocumentEditor() {
     return () => {
       window.document.removeEventListener('keydown', handleKeyDown);
     };
-  }, [activeToolPanel, showCommandPalette]);
+  }, [activeToolPanel, showCommandPalette, canEditText, canComment]);
 
   const modules = {
     toolbar: false // We're using custom vertical toolbar
@@ -1333,7 +1933,7 @@ function DocumentEditor() {
     <div className="dual-screen-container">
       {/* Top Header with Title */}
       <header className="top-header">
-        <button className="back-btn" onClick={() => navigate('/')}>
+        <button className="back-btn" onClick={() => navigate(docData.folderId ? `/?folder=${docData.folderId}` : '/')}>
           <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
             <path d="M19 12H5M12 19l-7-7 7-7"
               stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -1345,9 +1945,23 @@ function DocumentEditor() {
           placeholder="Untitled Document"
           value={title}
           onChange={handleTitleChange}
+          readOnly={!canEditText}
         />
+        {role !== 'owner' && (
+          <span className="role-badge">{role === 'viewer' ? 'View only' : role === 'commenter' ? 'Can comment' : 'Can edit'}</span>
+        )}
+        <button className="share-btn" onClick={() => setShowShareDialog(true)}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+            <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2M8.5 11a4 4 0 1 0 0-8 4 4 0 0 0 0 8zM20 8v6M23 11h-6"
+              stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+          Share
+        </button>
+        <PresenceAvatars collaborators={collaborators} followingId={followingId} onFollow={setFollowingId} />
         <div className="save-status">
-          {saving ? (
+          {conflictDoc ? (
+            <span className="save-conflict">Not saved - edited elsewhere</span>
+          ) : saving ? (
             <>
               <div className="spinner-small"></div>
               <span>Saving...</span>
@@ -1355,13 +1969,14 @@ function DocumentEditor() {
           ) : (
             <span>All changes saved</span>
           )}
+          {liveConnected && <span className="live-status" title="Edits sync live with everyone who has this document open">Live</span>}
         </div>
       </header>
 
       {/* Main Content Area */}
       <div className="main-content">
         {/* Vertical Toolbar */}
-        <aside className="vertical-toolbar">
+        <aside className={`vertical-toolbar ${canEditText ? '' : 'disabled'}`}>
           <div className="toolbar-buttons">
             {/* Text Formatting */}
             <button
@@ -1558,10 +2173,12 @@ function DocumentEditor() {
               theme="snow"
               value={content}
               onChange={handleContentChange}
+              readOnly={!canEditText}
               modules={modules}
               formats={formats}
               placeholder="Start writing your document..."
             />
+            <RemoteCursors quill={quillRef.current?.getEditor()} collaborators={collaborators} />
           </div>
         </div>
 
@@ -1607,6 +2224,25 @@ function DocumentEditor() {
               </svg>
               <span>Edits</span>
             </button>
+            <button
+              className={`tab-btn ${activeTab === 'versions' ? 'active' : ''}`}
+              onClick={() => setActiveTab('versions')}
+            >
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none">
+                <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="2"/>
+                <path d="M12 6v6l4 2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+              <span>Versions</span>
+            </button>
+            <button
+              className={`tab-btn ${activeTab === 'activity' ? 'active' : ''}`}
+              onClick={() => setActiveTab('activity')}
+            >
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none">
+                <polyline points="22 12 18 12 15 21 9 3 6 12 2 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+              <span>Activity</span>
+            </button>
 
             {/* Custom Tabs */}
             {customTabs.map((customTab) => (
@@ -1637,7 +2273,16 @@ function DocumentEditor() {
 
           {/* Tab Content */}
           <div className="tab-content">
-            {(() => {
+            {activeTab === 'versions' ? (
+              <VersionHistory
+                documentId={id}
+                versions={versions}
+                onCheckpoint={handleCreateCheckpoint}
+                onRestore={handleRestoreVersion}
+              />
+            ) : activeTab === 'activity' ? (
+              <ActivityTimeline documentId={id} />
+            ) : (() => {
               const customTab = customTabs.find(t => t.id === activeTab);
               const unsortedItems = customTab ? customTab.items : (tabs[activeTab] || []);
               const tabName = customTab ? customTab.name : activeTab;
@@ -1653,6 +2298,8 @@ function DocumentEditor() {
                 // Same starting position, sort by creation time
                 return new Date(a.createdAt) - new Date(b.createdAt);
               });
+              const resolvedCount = items.filter(item => item.resolved).length;
+              const visibleItems = showResolved ? items : items.filter(item => !item.resolved);
 
               return (
                 <>
@@ -1678,6 +2325,16 @@ function DocumentEditor() {
                         </svg>
                         <span>{isHighlightHidden ? "Show Highlights" : "Hide Highlights"}</span>
                       </button>
+                      {resolvedCount > 0 && (
+                        <label className="show-resolved-toggle">
+                          <input
+                            type="checkbox"
+                            checked={showResolved}
+                            onChange={(e) => setShowResolved(e.target.checked)}
+                          />
+                          Show resolved ({resolvedCount})
+                        </label>
+                      )}
                     </div>
                   )}
                   {items.length === 0 ? (
@@ -1697,13 +2354,20 @@ function DocumentEditor() {
                         </button>
                       )}
                     </div>
+                  ) : visibleItems.length === 0 ? (
+                    <div className="empty-tab">
+                      <p>All {tabName} resolved</p>
+                    </div>
                   ) : (
-                    items.map((item) => (
+                    visibleItems.map((item) => (
                       <div
                         key={item.id}
-                        className="tab-card"
+                        className={`tab-card ${item.resolved ? 'resolved' : ''}`}
                         onClick={(e) => {
-                          handleScrollToHighlight(item);
+                          // Resolved items no longer have a highlight to jump to
+                          if (!item.resolved) {
+                            handleScrollToHighlight(item);
+                          }
                           // Add flash animation when clicking on the card
                           const card = e.currentTarget;
                           card.classList.remove('highlight-flash');
@@ -1809,22 +2473,77 @@ function DocumentEditor() {
                             borderRadius: '4px 0 0 4px'
                           }}
                         />
-                        <div className="tab-card-footer">
-                          <span className="tab-card-time">
-                            {new Date(item.createdAt).toLocaleString()}
-                          </span>
-                          <button
-                            className="delete-tab-item-btn"
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              handleDeleteTabItem(item, activeTab);
+                        {(item.replies || []).length > 0 && (
+                          <div className="tab-card-replies">
+                            {item.replies.map(reply => (
+                              <div key={reply.id} className="tab-card-reply">
+                                <div className="tab-card-meta">
+                                  <span className="tab-card-author">{reply.author?.name || 'Someone'}</span>
+                                  <span className="tab-card-time">{new Date(reply.createdAt).toLocaleString()}</span>
+                                </div>
+                                <div className="tab-card-text">{reply.text}</div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {canComment && !item.resolved && (
+                          <form
+                            className="tab-card-reply-form"
+                            onClick={(e) => e.stopPropagation()}
+                            onSubmit={(e) => {
+                              e.preventDefault();
+                              handleReply(item, activeTab);
                             }}
-                            title="Delete comment"
                           >
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
-                              <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                            </svg>
-                          </button>
+                            <input
+                              type="text"
+                              className="tab-card-reply-input"
+                              placeholder="Reply..."
+                              value={replyDrafts[item.id] || ''}
+                              onChange={(e) => setReplyDrafts(drafts => ({ ...drafts, [item.id]: e.target.value }))}
+                            />
+                          </form>
+                        )}
+                        <div className="tab-card-footer">
+                          <div className="tab-card-meta">
+                            {item.author && <span className="tab-card-author">{item.author.name}</span>}
+                            <span className="tab-card-time">
+                              {item.resolved
+                                ? `Resolved${item.resolvedBy ? ` by ${item.resolvedBy.name}` : ''}`
+                                : new Date(item.createdAt).toLocaleString()}
+                            </span>
+                          </div>
+                          {canComment && (
+                            <button
+                              className="resolve-tab-item-btn"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleToggleResolved(item, activeTab);
+                              }}
+                              title={item.resolved ? 'Reopen' : 'Resolve'}
+                            >
+                              {item.resolved ? 'Reopen' : (
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
+                                  <path d="M5 13l4 4L19 7" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                                </svg>
+                              )}
+                            </button>
+                          )}
+                          {/* Commenters can only delete what they wrote */}
+                          {(canEditText || (canComment && item.author?.id === user.id)) && (
+                            <button
+                              className="delete-tab-item-btn"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleDeleteTabItem(item, activeTab);
+                              }}
+                              title="Delete comment"
+                            >
+                              <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
+                                <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                              </svg>
+                            </button>
+                          )}
                         </div>
                       </div>
                     ))
@@ -1856,17 +2575,39 @@ function DocumentEditor() {
                 type="text"
                 className="command-input"
                 value={commandInput}
-                onChange={(e) => setCommandInput(e.target.value)}
+                onChange={(e) => {
+                  setCommandInput(e.target.value);
+                  setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart));
+                  setMentionIndex(0);
+                }}
+                onKeyDown={handleCommandKeyDown}
                 placeholder="Type command..."
                 disabled={loadingAI}
                 onMouseDown={(e) => e.stopPropagation()}
               />
+              <MentionSuggestions
+                users={mentionSuggestions}
+                activeIndex={mentionIndex}
+                onSelect={insertMention}
+              />
               {loadingAI && (
                 <div className="command-loading">
                   <div className="spinner-tiny"></div>
-                  <span>Processing...</span>
+                  <span>{streamingText ? 'Writing...' : 'Processing...'}</span>
+                  {aiStreaming && (
+                    <button
+                      type="button"
+                      className="command-stop-btn"
+                      onClick={() => aiAbortRef.current?.abort()}
+                    >
+                      Stop
+                    </button>
+                  )}
                 </div>
               )}
+              {streamingText && (
+                <div className="command-stream">{streamingText}</div>
+              )}
               {aiResponse && (
                 <div className="command-response">
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="none">
@@ -1881,12 +2622,57 @@ function DocumentEditor() {
               <div className="hint"><kbd>d</kbd> <kbd>d/</kbd> <kbd>d/ai</kbd> Definition</div>
               <div className="hint"><kbd>q</kbd> <kbd>q/</kbd> <kbd>q/ai</kbd> Question</div>
               <div className="hint"><kbd>e</kbd> <kbd>e/</kbd> <kbd>e/ai</kbd> Edit</div>
+              <div className="hint"><kbd>@</kbd> Assign to someone</div>
               <div className="hint"><kbd>Esc</kbd> Cancel</div>
             </div>
           </div>
         )}
       </div>
 
+      {/* Save Conflict Modal */}
+      {conflictDoc && (
+        <div className="modal-overlay">
+          <div className="modal-content conflict-modal">
+            <div className="modal-header">
+              <h2>This document was changed elsewhere</h2>
+            </div>
+            <div className="modal-body">
+              <p className="conflict-message">
+                Someone saved a newer copy (last updated {new Date(conflictDoc.updatedAt).toLocaleString()}) while
+                you were editing. Your latest changes have not been saved.
+              </p>
+              <div className="conflict-preview-label">Their version</div>
+              <h3 className="conflict-preview-title">{conflictDoc.title}</h3>
+              <div className="conflict-preview ql-editor" dangerouslySetInnerHTML={{ __html: sanitizeHtml(conflictDoc.content) }} />
+            </div>
+            <div className="modal-footer">
+              <button className="modal-btn modal-btn-secondary" onClick={handleReloadServerCopy}>
+                Load their version
+              </button>
+              {/* Merging needs the copy both sides started from, which a failed save can lose */}
+              {lastSavedRef.current.delta && (
+                <button className="modal-btn modal-btn-secondary" onClick={handleMergeCopies}>
+                  Merge both
+                </button>
+              )}
+              <button className="modal-btn modal-btn-primary" onClick={handleKeepLocalCopy}>
+                Keep my version
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showShareDialog && (
+        <ShareDialog
+          documentId={id}
+          currentUserId={user.id}
+          isOwner={role === 'owner'}
+          onClose={() => setShowShareDialog(false)}
+          onLeave={() => navigate('/')}
+        />
+      )}
+
       {/* Custom Tab Modal */}
       {showCustomTabModal && (
         <div className="modal-overlay" onClick={() => setShowCustomTabModal(false)}>
@@ -1,9 +1,10 @@
 import { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import { API_URL } from '../config';
 import Sidebar, { HamburgerButton } from './Sidebar';
 import ActionItemsPage from './ActionItemsPage';
+import TrashPage from './TrashPage';
 import './DocumentList.css';
 
 function DocumentList() {
@@ -14,6 +15,10 @@ function DocumentList() {
   const [searchQuery, setSearchQuery] = useState('');
   const [searching, setSearching] = useState(false);
   const [searchInterpretation, setSearchInterpretation] = useState(null);
+  const [folders, setFolders] = useState([]);
+  const [dragOverFolderId, setDragOverFolderId] = useState(undefined); // undefined = nothing, null = root
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentFolderId = searchParams.get('folder') || null;
   const sidebarRef = useRef(null);
   const navigate = useNavigate();
 
@@ -24,14 +29,26 @@ function DocumentList() {
   };
 
   useEffect(() => {
+    clearSearch();
     fetchDocuments();
-  }, []);
+  }, [currentFolderId]);
+
+  // Links from notifications open the action items view (/?view=action-items)
+  useEffect(() => {
+    if (searchParams.get('view') === 'action-items') {
+      setCurrentTab('action-items');
+    }
+  }, [searchParams]);
 
   const fetchDocuments = async () => {
     try {
-      const response = await axios.get(`${API_URL}/api/documents`);
-      setDocuments(response.data);
-      setAllDocuments(response.data);
+      const [docsResponse, foldersResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/documents`, { params: { folderId: currentFolderId || 'root' } }),
+        axios.get(`${API_URL}/api/folders`)
+      ]);
+      setDocuments(docsResponse.data);
+      setAllDocuments(docsResponse.data);
+      setFolders(foldersResponse.data);
       setLoading(false);
     } catch (error) {
       console.error('Error fetching documents:', error);
@@ -43,7 +60,8 @@ function DocumentList() {
     try {
       const response = await axios.post(`${API_URL}/api/documents`, {
         title: 'Untitled Document',
-        content: ''
+        content: '',
+        folderId: currentFolderId
       });
       navigate(`/document/${response.data.id}`);
     } catch (error) {
@@ -62,7 +80,8 @@ function DocumentList() {
 
     setSearching(true);
     try {
-      const response = await axios.post(`${API_URL}/api/search`, { query });
+      // Inside a folder, search only that folder and its subfolders
+      const response = await axios.post(`${API_URL}/api/search`, { query, folderId: currentFolderId });
       setDocuments(response.data.documents);
       setSearchInterpretation(response.data.interpretation);
     } catch (error) {
@@ -80,7 +99,7 @@ function DocumentList() {
 
   const deleteDocument = async (id, e) => {
     e.stopPropagation();
-    if (window.confirm('Are you sure you want to delete this document?')) {
+    if (window.confirm('Move this document to the trash?')) {
       try {
         await axios.delete(`/api/documents/${id}`);
         fetchDocuments();
@@ -90,6 +109,111 @@ function DocumentList() {
     }
   };
 
+  const openFolder = (folderId) => {
+    setSearchParams(folderId ? { folder: folderId } : {});
+  };
+
+  // Breadcrumb trail from the root down to the current folder
+  const getFolderPath = () => {
+    const path = [];
+    let folder = folders.find(f => f.id === currentFolderId);
+    while (folder && !path.includes(folder)) {
+      path.unshift(folder);
+      folder = folders.find(f => f.id === folder.parentId);
+    }
+    return path;
+  };
+
+  const createFolder = async () => {
+    const name = window.prompt('Folder name');
+    if (!name || !name.trim()) return;
+
+    try {
+      await axios.post(`${API_URL}/api/folders`, { name, parentId: currentFolderId });
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error creating folder:', error);
+    }
+  };
+
+  const renameFolder = async (folder, e) => {
+    e.stopPropagation();
+    const name = window.prompt('Rename folder', folder.name);
+    if (!name || !name.trim() || name === folder.name) return;
+
+    try {
+      await axios.patch(`${API_URL}/api/folders/${folder.id}`, { name });
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error renaming folder:', error);
+    }
+  };
+
+  const deleteFolder = async (folder, e) => {
+    e.stopPropagation();
+    if (!window.confirm(`Are you sure you want to delete the folder "${folder.name}"?`)) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/folders/${folder.id}`);
+      fetchDocuments();
+    } catch (error) {
+      if (error.response?.status === 409 &&
+          window.confirm(`"${folder.name}" is not empty. Delete it and move its documents to the trash?`)) {
+        try {
+          await axios.delete(`${API_URL}/api/folders/${folder.id}`, { params: { recursive: true } });
+          fetchDocuments();
+        } catch (recursiveError) {
+          console.error('Error deleting folder:', recursiveError);
+        }
+      } else {
+        console.error('Error deleting folder:', error);
+      }
+    }
+  };
+
+  // Drag and drop: documents and folders can be dropped onto folder cards and breadcrumbs
+  const handleDragStart = (e, type, id) => {
+    e.dataTransfer.setData('application/json', JSON.stringify({ type, id }));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e, folderId) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverFolderId(folderId);
+  };
+
+  const handleDrop = async (e, targetFolderId) => {
+    e.preventDefault();
+    setDragOverFolderId(undefined);
+
+    let dragged;
+    try {
+      dragged = JSON.parse(e.dataTransfer.getData('application/json'));
+    } catch {
+      return;
+    }
+    if (dragged.type === 'folder' && dragged.id === targetFolderId) return;
+
+    try {
+      if (dragged.type === 'document') {
+        await axios.patch(`${API_URL}/api/documents/${dragged.id}/move`, { folderId: targetFolderId });
+      } else if (dragged.type === 'folder') {
+        await axios.patch(`${API_URL}/api/folders/${dragged.id}`, { parentId: targetFolderId });
+      }
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error moving item:', error);
+      alert(error.response?.data?.error || 'Failed to move item.');
+    }
+  };
+
+  const dropTargetProps = (folderId) => ({
+    onDragOver: (e) => handleDragOver(e, folderId),
+    onDragLeave: () => setDragOverFolderId(undefined),
+    onDrop: (e) => handleDrop(e, folderId)
+  });
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -103,6 +227,10 @@ function DocumentList() {
     return <div className="loading">Loading documents...</div>;
   }
 
+  const folderPath = getFolderPath();
+  const currentFolder = folderPath[folderPath.length - 1];
+  const subfolders = searchQuery ? [] : folders.filter(f => f.parentId === currentFolderId);
+
   return (
     <div className="app-container">
       <Sidebar
@@ -114,6 +242,8 @@ function DocumentList() {
       <div className="main-content">
         {currentTab === 'action-items' ? (
           <ActionItemsPage hamburgerButton={<HamburgerButton onClick={handleHamburgerClick} />} />
+        ) : currentTab === 'trash' ? (
+          <TrashPage hamburgerButton={<HamburgerButton onClick={handleHamburgerClick} />} />
         ) : (
           <div className="document-list-container">
             <header className="header">
@@ -121,11 +251,38 @@ function DocumentList() {
                 <HamburgerButton onClick={handleHamburgerClick} />
                 <h1>Documents</h1>
               </div>
-              <button className="new-doc-btn" onClick={createNewDocument}>
-                + New Document
-              </button>
+              <div className="header-actions">
+                <button className="new-folder-btn" onClick={createFolder}>
+                  + New Folder
+                </button>
+                <button className="new-doc-btn" onClick={createNewDocument}>
+                  + New Document
+                </button>
+              </div>
             </header>
 
+            <nav className="breadcrumbs">
+              <button
+                className={`breadcrumb ${dragOverFolderId === null ? 'drag-over' : ''}`}
+                onClick={() => openFolder(null)}
+                {...dropTargetProps(null)}
+              >
+                All Documents
+              </button>
+              {folderPath.map(folder => (
+                <span key={folder.id} className="breadcrumb-item">
+                  <span className="breadcrumb-separator">/</span>
+                  <button
+                    className={`breadcrumb ${dragOverFolderId === folder.id ? 'drag-over' : ''}`}
+                    onClick={() => openFolder(folder.id)}
+                    {...dropTargetProps(folder.id)}
+                  >
+                    {folder.name}
+                  </button>
+                </span>
+              ))}
+            </nav>
+
             <div className="search-container">
               <div className="search-box">
                 <svg className="search-icon" width="20" height="20" viewBox="0 0 24 24" fill="none">
@@ -135,7 +292,9 @@ function DocumentList() {
                 <input
                   type="text"
                   className="search-input"
-                  placeholder="Search documents... (e.g., 'meeting notes from 12/2' or 'public health essay')"
+                  placeholder={currentFolder
+                    ? `Search in ${currentFolder.name}...`
+                    : "Search documents... (e.g., 'meeting notes from 12/2' or 'public health essay')"}
                   value={searchQuery}
                   onChange={(e) => handleSearch(e.target.value)}
                 />
@@ -159,13 +318,56 @@ function DocumentList() {
             </div>
 
             <div className="documents-grid">
-        {documents.length === 0 ? (
+        {subfolders.map(folder => (
+          <div
+            key={folder.id}
+            className={`document-card folder-card ${dragOverFolderId === folder.id ? 'drag-over' : ''}`}
+            onClick={() => openFolder(folder.id)}
+            draggable
+            onDragStart={(e) => handleDragStart(e, 'folder', folder.id)}
+            {...dropTargetProps(folder.id)}
+          >
+            <div className="document-icon folder-icon">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
+                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"
+                  stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </div>
+            <div className="document-info">
+              <h3>{folder.name}</h3>
+              <p className="document-date">Folder</p>
+            </div>
+            <button
+              className="rename-btn"
+              onClick={(e) => renameFolder(folder, e)}
+              aria-label="Rename folder"
+            >
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"
+                  stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+            <button
+              className="delete-btn"
+              onClick={(e) => deleteFolder(folder, e)}
+              aria-label="Delete folder"
+            >
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+                <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"
+                  stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+          </div>
+        ))}
+        {documents.length === 0 && subfolders.length === 0 ? (
           <div className="empty-state">
-            <h2>{searchQuery ? 'No documents found' : 'No documents yet'}</h2>
+            <h2>{searchQuery ? 'No documents found' : currentFolder ? 'This folder is empty' : 'No documents yet'}</h2>
             <p>
               {searchQuery
                 ? 'Try a different search query'
-                : 'Create your first document to get started'}
+                : currentFolder
+                  ? 'Create a document here or drag one in'
+                  : 'Create your first document to get started'}
             </p>
             {!searchQuery && (
               <button className="create-first-btn" onClick={createNewDocument}>
@@ -179,6 +381,8 @@ function DocumentList() {
               key={doc.id}
               className="document-card"
               onClick={() => navigate(`/document/${doc.id}`)}
+              draggable={doc.role === 'owner'}
+              onDragStart={(e) => handleDragStart(e, 'document', doc.id)}
             >
               <div className="document-icon">
                 <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
@@ -192,18 +396,22 @@ function DocumentList() {
                 <h3>{doc.title}</h3>
                 <p className="document-date">
                   Updated {formatDate(doc.updatedAt)}
+                  {doc.role !== 'owner' && ' · Shared with you'}
                 </p>
               </div>
-              <button
-                className="delete-btn"
-                onClick={(e) => deleteDocument(doc.id, e)}
-                aria-label="Delete document"
-              >
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
-                  <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"
-                    stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                </svg>
-              </button>
+              {/* Only the owner can delete; others can leave from the share dialog */}
+              {doc.role === 'owner' && (
+                <button
+                  className="delete-btn"
+                  onClick={(e) => deleteDocument(doc.id, e)}
+                  aria-label="Delete document"
+                >
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+                    <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"
+                      stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                </button>
+              )}
             </div>
           ))
         )}
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../AuthContext';
+import './LoginPage.css';
+
+function LoginPage() {
+  const { user, login, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState('login'); // 'login' or 'register'
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const returnTo = location.state?.from || '/';
+
+  if (user) {
+    return <Navigate to={returnTo} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      if (mode === 'register') {
+        await register(name.trim(), email.trim(), password);
+      } else {
+        await login(email.trim(), password);
+      }
+      navigate(returnTo, { replace: true });
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(err.response?.data?.error || 'Could not reach the server. Please try again.');
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setError('');
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>DocEditor</h1>
+        <p className="login-subtitle">
+          {mode === 'login' ? 'Sign in to your documents' : 'Create an account'}
+        </p>
+        {location.state?.signedOut && mode === 'login' && (
+          <p className="login-notice">You have been signed out.</p>
+        )}
+
+        {mode === 'register' && (
+          <label>
+            Name
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} autoComplete="name" required />
+          </label>
+        )}
+        <label>
+          Email
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" required />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            minLength={mode === 'register' ? 8 : undefined}
+            required
+          />
+        </label>
+
+        {error && <p className="login-error">{error}</p>}
+
+        <button type="submit" className="login-submit" disabled={submitting}>
+          {submitting ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+        <button type="button" className="login-switch" onClick={switchMode}>
+          {mode === 'login' ? "Don't have an account? Create one" : 'Already have an account? Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginPage;
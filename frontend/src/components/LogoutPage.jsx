@@ -0,0 +1,24 @@
+import { useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../AuthContext';
+import './LoginPage.css';
+
+// Ends the session, then shows the login page with a signed-out notice
+function LogoutPage() {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    logout().then(() => navigate('/login', { replace: true, state: { signedOut: true } }));
+  }, []);
+
+  return (
+    <div className="login-page">
+      <div className="login-card">
+        <p className="login-subtitle">Signing out...</p>
+      </div>
+    </div>
+  );
+}
+
+export default LogoutPage;
@@ -0,0 +1,31 @@
+import './MentionSuggestions.css';
+
+/**
+ * People matching an @mention being typed in the command palette. The palette input keeps
+ * focus and handles the arrow keys, so this only renders the list and takes clicks.
+ */
+function MentionSuggestions({ users, activeIndex, onSelect }) {
+  if (users.length === 0) return null;
+
+  return (
+    <ul className="mention-suggestions" role="listbox">
+      {users.map((user, index) => (
+        <li
+          key={user.id}
+          role="option"
+          aria-selected={index === activeIndex}
+          className={`mention-suggestion ${index === activeIndex ? 'active' : ''}`}
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onSelect(user);
+          }}
+        >
+          <span className="mention-suggestion-name">{user.name}</span>
+          <span className="mention-suggestion-handle">@{user.handle}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default MentionSuggestions;
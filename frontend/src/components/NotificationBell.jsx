@@ -0,0 +1,146 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { getAuthToken } from '../AuthContext';
+import './NotificationBell.css';
+
+// Where clicking a notification goes
+const notificationLink = (notification) => {
+  if (notification.type === 'mention' && notification.itemId) {
+    return `/document/${notification.documentId}?item=${encodeURIComponent(notification.itemId)}`;
+  }
+  if (notification.type === 'action-items' || notification.type === 'ai-edit') {
+    return notification.actionItemId
+      ? `/?view=action-items&actionItem=${encodeURIComponent(notification.actionItemId)}`
+      : '/?view=action-items';
+  }
+  return `/document/${notification.documentId}`;
+};
+
+const formatTime = (dateString) => {
+  const minutes = Math.floor((Date.now() - new Date(dateString)) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Bell with the unread count and a dropdown of recent notifications, kept current over
+ * Server-Sent Events (see /api/notifications/stream)
+ */
+function NotificationBell() {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/notifications`);
+        setNotifications(response.data.notifications);
+        setUnreadCount(response.data.unreadCount);
+      } catch (error) {
+        console.error('Error fetching notifications:', error);
+      }
+    };
+    fetchNotifications();
+
+    // EventSource can't send headers, so the token goes in the URL
+    const source = new EventSource(`${API_URL}/api/notifications/stream?access_token=${encodeURIComponent(getAuthToken())}`);
+    source.addEventListener('notification', (e) => {
+      const { notification, unreadCount: count } = JSON.parse(e.data);
+      setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+      setUnreadCount(count);
+    });
+    source.addEventListener('read', (e) => {
+      const { ids, unreadCount: count } = JSON.parse(e.data);
+      setNotifications(prev => prev.map(n => (!ids || ids.includes(n.id) ? { ...n, read: true } : n)));
+      setUnreadCount(count);
+    });
+
+    return () => source.close();
+  }, []);
+
+  // Close the dropdown on outside clicks
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickAway = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickAway);
+    return () => document.removeEventListener('mousedown', handleClickAway);
+  }, [isOpen]);
+
+  const markRead = async (ids) => {
+    try {
+      await axios.post(`${API_URL}/api/notifications/read`, ids ? { ids } : {});
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  const handleOpen = (notification) => {
+    if (!notification.read) {
+      markRead([notification.id]);
+    }
+    setIsOpen(false);
+    navigate(notificationLink(notification));
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        className="notification-bell-btn"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Notifications"
+      >
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+          <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          <path d="M13.73 21a2 2 0 0 1-3.46 0" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+        {unreadCount > 0 && (
+          <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button className="notification-mark-all" onClick={() => markRead(null)}>
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="notification-empty">You're all caught up</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <button
+                    className={`notification-item ${notification.read ? '' : 'unread'}`}
+                    onClick={() => handleOpen(notification)}
+                  >
+                    <span className="notification-title">{notification.title}</span>
+                    <span className="notification-time">{formatTime(notification.createdAt)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,46 @@
+import './PresenceAvatars.css';
+
+const MAX_VISIBLE_AVATARS = 5;
+
+const getInitials = (name) => name
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('');
+
+/**
+ * Avatars of everyone else who has the document open. Clicking one follows their cursor.
+ */
+function PresenceAvatars({ collaborators, followingId, onFollow }) {
+  if (collaborators.length === 0) return null;
+
+  const visible = collaborators.slice(0, MAX_VISIBLE_AVATARS);
+  const hiddenCount = collaborators.length - visible.length;
+
+  return (
+    <div className="presence-avatars">
+      {visible.map(collaborator => {
+        const isFollowing = collaborator.clientId === followingId;
+        return (
+          <button
+            key={collaborator.clientId}
+            className={`presence-avatar ${isFollowing ? 'following' : ''}`}
+            style={{ backgroundColor: collaborator.color, '--presence-color': collaborator.color }}
+            title={isFollowing ? `Following ${collaborator.name} (click to stop)` : `${collaborator.name} - click to follow`}
+            onClick={() => onFollow(isFollowing ? null : collaborator.clientId)}
+          >
+            {getInitials(collaborator.name)}
+          </button>
+        );
+      })}
+      {hiddenCount > 0 && (
+        <span className="presence-more" title={collaborators.slice(MAX_VISIBLE_AVATARS).map(c => c.name).join(', ')}>
+          +{hiddenCount}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default PresenceAvatars;
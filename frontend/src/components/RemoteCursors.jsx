@@ -0,0 +1,69 @@
+import './RemoteCursors.css';
+
+// Bounds of each line a selection covers, so multi-line selections aren't drawn as one big box
+const getSelectionRects = (quill, index, length) => {
+  if (length === 0) return [];
+  return quill.getLines(index, length).map(line => {
+    const lineStart = quill.getIndex(line);
+    const start = Math.max(index, lineStart);
+    const end = Math.min(index + length, lineStart + line.length());
+    return quill.getBounds(start, Math.max(0, end - start));
+  });
+};
+
+/**
+ * Other collaborators' carets and selections, drawn over the Quill editor.
+ * Rendered next to the editor inside a positioned wrapper.
+ */
+function RemoteCursors({ quill, collaborators }) {
+  if (!quill) return null;
+
+  // Bounds are relative to the editor container, which sits below the toolbar
+  const offsetTop = quill.container.offsetTop;
+  const offsetLeft = quill.container.offsetLeft;
+  const maxIndex = quill.getLength() - 1;
+
+  return (
+    <div className="remote-cursors">
+      {collaborators.filter(collaborator => collaborator.selection).map(collaborator => {
+        const index = Math.min(collaborator.selection.index, maxIndex);
+        const length = Math.min(collaborator.selection.length, maxIndex - index);
+        const caret = quill.getBounds(index + length, 0);
+
+        return (
+          <div key={collaborator.clientId}>
+            {getSelectionRects(quill, index, length).map((rect, i) => (
+              <div
+                key={i}
+                className="remote-selection"
+                style={{
+                  top: rect.top + offsetTop,
+                  left: rect.left + offsetLeft,
+                  width: rect.width,
+                  height: rect.height,
+                  backgroundColor: collaborator.color
+                }}
+              />
+            ))}
+            <div
+              className="remote-caret"
+              data-client-id={collaborator.clientId}
+              style={{
+                top: caret.top + offsetTop,
+                left: caret.left + offsetLeft,
+                height: caret.height,
+                backgroundColor: collaborator.color
+              }}
+            >
+              <span className="remote-caret-label" style={{ backgroundColor: collaborator.color }}>
+                {collaborator.name}
+              </span>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RemoteCursors;
@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import './ShareDialog.css';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  commenter: 'Commenter',
+  viewer: 'Viewer'
+};
+const SHARE_ROLES = ['viewer', 'commenter', 'editor'];
+
+/**
+ * Lists who has access to a document; the owner can add people and change or remove their roles.
+ * Uses the editor's modal styles.
+ */
+function ShareDialog({ documentId, currentUserId, isOwner, onClose, onLeave }) {
+  const [people, setPeople] = useState([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [error, setError] = useState('');
+  const [sharing, setSharing] = useState(false);
+
+  useEffect(() => {
+    const fetchShares = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/documents/${documentId}/shares`);
+        setPeople(response.data);
+      } catch (err) {
+        console.error('Error fetching shares:', err);
+      }
+    };
+    fetchShares();
+  }, [documentId]);
+
+  const shareWith = async (shareEmail, shareRole) => {
+    setError('');
+    try {
+      const response = await axios.post(`${API_URL}/api/documents/${documentId}/shares`, {
+        email: shareEmail,
+        role: shareRole
+      });
+      setPeople(response.data);
+      return true;
+    } catch (err) {
+      console.error('Error sharing document:', err);
+      setError(err.response?.data?.error || 'Failed to share document');
+      return false;
+    }
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setSharing(true);
+    if (await shareWith(email.trim(), role)) {
+      setEmail('');
+    }
+    setSharing(false);
+  };
+
+  const handleRemove = async (person) => {
+    const leaving = person.id === currentUserId;
+    if (!window.confirm(leaving ? 'Remove yourself from this document?' : `Stop sharing with ${person.name}?`)) return;
+
+    try {
+      const response = await axios.delete(`${API_URL}/api/documents/${documentId}/shares/${person.id}`);
+      if (leaving) {
+        onLeave();
+        return;
+      }
+      setPeople(response.data);
+    } catch (err) {
+      console.error('Error removing share:', err);
+      alert('Failed to remove access. Please try again.');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content share-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Share document</h2>
+          <button className="modal-close-btn" onClick={onClose}>
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+              <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+          </button>
+        </div>
+        <div className="modal-body">
+          {isOwner && (
+            <form className="share-form" onSubmit={handleShare}>
+              <input
+                type="email"
+                className="modal-input"
+                placeholder="Email address"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+              <select className="share-role-select" value={role} onChange={(e) => setRole(e.target.value)}>
+                {SHARE_ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+              </select>
+              <button type="submit" className="modal-btn modal-btn-primary" disabled={sharing || !email.trim()}>
+                Share
+              </button>
+            </form>
+          )}
+          {error && <p className="share-error">{error}</p>}
+
+          <div className="share-list">
+            {people.map(person => (
+              <div key={person.id} className="share-person">
+                <div className="share-person-info">
+                  <span className="share-person-name">
+                    {person.name}{person.id === currentUserId && ' (you)'}
+                  </span>
+                  <span className="share-person-email">{person.email}</span>
+                </div>
+                {isOwner && person.role !== 'owner' ? (
+                  <select
+                    className="share-role-select"
+                    value={person.role}
+                    onChange={(e) => shareWith(person.email, e.target.value)}
+                  >
+                    {SHARE_ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                  </select>
+                ) : (
+                  <span className="share-role">{ROLE_LABELS[person.role]}</span>
+                )}
+                {person.role !== 'owner' && (isOwner || person.id === currentUserId) && (
+                  <button className="share-remove-btn" onClick={() => handleRemove(person)} title="Remove access">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                      <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                    </svg>
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShareDialog;
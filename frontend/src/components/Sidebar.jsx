@@ -1,7 +1,11 @@
 import { useState, useImperativeHandle, forwardRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../AuthContext';
+import NotificationBell from './NotificationBell';
 import './Sidebar.css';
 
 const Sidebar = forwardRef(({ currentTab, onTabChange }, ref) => {
+  const { user } = useAuth();
   const [isOpen, setIsOpen] = useState(false);
 
   const toggleSidebar = () => {
@@ -22,6 +26,7 @@ const Sidebar = forwardRef(({ currentTab, onTabChange }, ref) => {
       <div className={`sidebar ${isOpen ? 'open' : ''}`}>
         <div className="sidebar-header">
           <h2>DocEditor</h2>
+          {user && <NotificationBell />}
           <button className="close-sidebar-btn" onClick={toggleSidebar}>
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
               <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -53,7 +58,28 @@ const Sidebar = forwardRef(({ currentTab, onTabChange }, ref) => {
             </svg>
             <span>Action Items</span>
           </button>
+
+          <button
+            className={`nav-item ${currentTab === 'trash' ? 'active' : ''}`}
+            onClick={() => handleTabClick('trash')}
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+              <polyline points="3 6 5 6 21 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+            <span>Trash</span>
+          </button>
         </nav>
+
+        {user && (
+          <div className="sidebar-account">
+            <div className="sidebar-account-info">
+              <span className="sidebar-account-name">{user.name}</span>
+              <span className="sidebar-account-email">{user.email}</span>
+            </div>
+            <Link to="/logout" className="logout-link">Log out</Link>
+          </div>
+        )}
       </div>
 
       {isOpen && <div className="sidebar-overlay" onClick={toggleSidebar}></div>}
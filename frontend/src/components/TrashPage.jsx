@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import './TrashPage.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function TrashPage({ hamburgerButton }) {
+  const [trashedDocuments, setTrashedDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/trash`);
+      setTrashedDocuments(response.data);
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      setLoading(false);
+    }
+  };
+
+  const restoreDocument = async (doc) => {
+    try {
+      await axios.post(`${API_URL}/api/trash/${doc.id}/restore`);
+      fetchTrash();
+    } catch (error) {
+      console.error('Error restoring document:', error);
+      alert('Failed to restore document. Please try again.');
+    }
+  };
+
+  const purgeDocument = async (doc) => {
+    if (!window.confirm(`Permanently delete "${doc.title}"? This cannot be undone.`)) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/trash/${doc.id}`);
+      fetchTrash();
+    } catch (error) {
+      console.error('Error deleting document:', error);
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/trash`);
+      fetchTrash();
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  const daysUntilPurge = (purgeAt) => Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS));
+
+  if (loading) {
+    return <div className="loading">Loading trash...</div>;
+  }
+
+  return (
+    <div className="trash-page">
+      <header className="page-header">
+        <div className="page-header-left">
+          {hamburgerButton}
+          <div>
+            <h1>Trash</h1>
+            <p className="page-subtitle">
+              Deleted documents are kept here for a while before they are removed for good
+            </p>
+          </div>
+          {trashedDocuments.length > 0 && (
+            <button className="empty-trash-btn" onClick={emptyTrash}>
+              Empty trash
+            </button>
+          )}
+        </div>
+      </header>
+
+      <div className="trash-content">
+        {trashedDocuments.length === 0 ? (
+          <div className="empty-state">
+            <svg width="64" height="64" viewBox="0 0 24 24" fill="none">
+              <polyline points="3 6 5 6 21 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+            <h2>Trash is empty</h2>
+            <p>
+              Documents you delete will appear here. You can restore them until they are
+              permanently removed.
+            </p>
+          </div>
+        ) : (
+          <div className="trash-list">
+            {trashedDocuments.map(doc => (
+              <div key={doc.id} className="trash-item">
+                <div className="trash-item-info">
+                  <div className="trash-item-title">{doc.title}</div>
+                  <div className="trash-item-meta">
+                    Deleted {formatDate(doc.deletedAt)} · Deletes in {daysUntilPurge(doc.purgeAt)} day{daysUntilPurge(doc.purgeAt) === 1 ? '' : 's'}
+                  </div>
+                </div>
+                <div className="trash-item-actions">
+                  <button className="trash-action-btn restore" onClick={() => restoreDocument(doc)}>
+                    Restore
+                  </button>
+                  <button className="trash-action-btn purge" onClick={() => purgeDocument(doc)}>
+                    Delete forever
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TrashPage;
@@ -0,0 +1,240 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { sanitizeHtml } from '../sanitizeHtml';
+import './VersionHistory.css';
+
+const KIND_LABELS = {
+  auto: 'Autosave',
+  checkpoint: 'Checkpoint',
+  restore: 'Before restore',
+  current: 'Current document'
+};
+
+const CURRENT_VERSION = { id: 'current', kind: 'current', name: 'Current document' };
+
+function VersionHistory({ documentId, versions, onCheckpoint, onRestore }) {
+  const [checkpointName, setCheckpointName] = useState('');
+  const [savingCheckpoint, setSavingCheckpoint] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [viewedVersion, setViewedVersion] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [loadingVersion, setLoadingVersion] = useState(false);
+
+  const getLabel = (version) => version.name || KIND_LABELS[version.kind] || 'Version';
+
+  const formatTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  const handleCheckpointSubmit = async (e) => {
+    e.preventDefault();
+    if (!checkpointName.trim()) return;
+
+    setSavingCheckpoint(true);
+    try {
+      await onCheckpoint(checkpointName.trim());
+      setCheckpointName('');
+    } catch (error) {
+      console.error('Error creating checkpoint:', error);
+      alert('Failed to save checkpoint. Please try again.');
+    } finally {
+      setSavingCheckpoint(false);
+    }
+  };
+
+  // Keep at most two versions selected for comparison
+  const toggleSelected = (versionId) => {
+    setSelectedIds(prev => {
+      if (prev.includes(versionId)) {
+        return prev.filter(id => id !== versionId);
+      }
+      return [...prev, versionId].slice(-2);
+    });
+  };
+
+  const handleView = async (version) => {
+    setLoadingVersion(true);
+    try {
+      const response = await axios.get(`${API_URL}/api/documents/${documentId}/versions/${version.id}`);
+      setViewedVersion(response.data);
+    } catch (error) {
+      console.error('Error loading version:', error);
+      alert('Failed to load version.');
+    } finally {
+      setLoadingVersion(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    if (selectedIds.length !== 2) return;
+
+    // Older version goes on the left; the live document is always the newest
+    const order = (versionId) => versionId === 'current'
+      ? Infinity
+      : new Date(versions.find(v => v.id === versionId).createdAt).getTime();
+    const [from, to] = [...selectedIds].sort((a, b) => order(a) - order(b));
+
+    setLoadingVersion(true);
+    try {
+      const response = await axios.get(`${API_URL}/api/documents/${documentId}/versions/compare`, {
+        params: { from, to }
+      });
+      setComparison(response.data);
+    } catch (error) {
+      console.error('Error comparing versions:', error);
+      alert('Failed to compare versions.');
+    } finally {
+      setLoadingVersion(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore "${getLabel(version)}" from ${formatTime(version.createdAt)}? The current document will be saved as a version first.`)) {
+      return;
+    }
+    try {
+      await onRestore(version);
+      setViewedVersion(null);
+      setSelectedIds([]);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      alert('Failed to restore version. Please try again.');
+    }
+  };
+
+  return (
+    <div className="version-history">
+      <form className="checkpoint-form" onSubmit={handleCheckpointSubmit}>
+        <input
+          type="text"
+          className="checkpoint-input"
+          placeholder="Name this version..."
+          value={checkpointName}
+          onChange={(e) => setCheckpointName(e.target.value)}
+          disabled={savingCheckpoint}
+        />
+        <button type="submit" className="checkpoint-btn" disabled={savingCheckpoint || !checkpointName.trim()}>
+          {savingCheckpoint ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+
+      <div className="compare-bar">
+        <span>
+          {selectedIds.length === 2 ? '2 versions selected' : 'Select two versions to compare'}
+        </span>
+        <button
+          className="compare-btn"
+          onClick={handleCompare}
+          disabled={selectedIds.length !== 2 || loadingVersion}
+        >
+          Compare
+        </button>
+      </div>
+
+      <div className="version-list">
+        {[CURRENT_VERSION, ...versions].map(version => (
+          <div
+            key={version.id}
+            className={`version-card ${selectedIds.includes(version.id) ? 'selected' : ''} ${version.kind}`}
+          >
+            <label className="version-select">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(version.id)}
+                onChange={() => toggleSelected(version.id)}
+              />
+            </label>
+            <div className="version-info">
+              <div className="version-label">{getLabel(version)}</div>
+              {version.createdAt && (
+                <div className="version-meta">
+                  {formatTime(version.createdAt)}
+                  {version.kind === 'checkpoint' && ` · ${KIND_LABELS.checkpoint}`}
+                </div>
+              )}
+            </div>
+            {version.kind !== 'current' && (
+              <div className="version-actions">
+                <button className="version-action-btn" onClick={() => handleView(version)} title="View this version">
+                  View
+                </button>
+                <button className="version-action-btn restore" onClick={() => handleRestore(version)} title="Restore this version">
+                  Restore
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+        {versions.length === 0 && (
+          <div className="version-empty">
+            Versions are saved automatically as you write. Name a version above to keep a checkpoint.
+          </div>
+        )}
+      </div>
+
+      {/* View Version Modal */}
+      {viewedVersion && (
+        <div className="modal-overlay" onClick={() => setViewedVersion(null)}>
+          <div className="modal-content version-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{getLabel(viewedVersion)} · {formatTime(viewedVersion.createdAt)}</h2>
+              <button className="modal-close-btn" onClick={() => setViewedVersion(null)}>
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+                  <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                </svg>
+              </button>
+            </div>
+            <div className="modal-body">
+              <h3 className="version-preview-title">{viewedVersion.title}</h3>
+              <div className="version-preview ql-editor" dangerouslySetInnerHTML={{ __html: sanitizeHtml(viewedVersion.content) }} />
+            </div>
+            <div className="modal-footer">
+              <button className="modal-btn modal-btn-secondary" onClick={() => setViewedVersion(null)}>
+                Close
+              </button>
+              <button className="modal-btn modal-btn-primary" onClick={() => handleRestore(viewedVersion)}>
+                Restore
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Compare Versions Modal */}
+      {comparison && (
+        <div className="modal-overlay" onClick={() => setComparison(null)}>
+          <div className="modal-content version-modal version-diff-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Compare versions</h2>
+              <button className="modal-close-btn" onClick={() => setComparison(null)}>
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+                  <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                </svg>
+              </button>
+            </div>
+            <div className="modal-body version-diff">
+              <div className="version-diff-column">
+                <div className="version-diff-header">
+                  {getLabel(comparison.from)} · {formatTime(comparison.from.createdAt)}
+                </div>
+                <div className="version-preview ql-editor" dangerouslySetInnerHTML={{ __html: sanitizeHtml(comparison.left) }} />
+              </div>
+              <div className="version-diff-column">
+                <div className="version-diff-header">
+                  {getLabel(comparison.to)} · {formatTime(comparison.to.createdAt)}
+                </div>
+                <div className="version-preview ql-editor" dangerouslySetInnerHTML={{ __html: sanitizeHtml(comparison.right) }} />
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VersionHistory;
@@ -0,0 +1,10 @@
+import DOMPurify from 'dompurify';
+
+/**
+ * Document HTML that is safe to render with dangerouslySetInnerHTML. Stored content and
+ * snapshots can come from any editor of a shared document, so scripts, event handlers and
+ * javascript: links are stripped; the formatting Quill produces is kept.
+ */
+export function sanitizeHtml(html) {
+  return DOMPurify.sanitize(html || '', { ADD_ATTR: ['target'] });
+}